@@ -111,6 +111,312 @@ function validateUserInput(userInput) {
     return errors;
 }
 
+// Scenario 1.1: Declarative Schema Validation
+// The if-chain above has to be copy-pasted for every form and payload.
+// A schema describes the shape once and reports every problem with its path:
+//   const userSchema = schema.object({
+//       email: schema.string().email().max(254),
+//       age: schema.number().int().min(0).max(120),
+//       tags: schema.array(schema.string().min(1)).optional()
+//   });
+//   userSchema.validate({ email: 'x', age: -1 });
+//   // { success: false, errors: [{ path: 'email', ... }, { path: 'age', ... }] }
+
+class ValidationError extends Error {
+    constructor(errors) {
+        super(errors.map(error => `${error.path || '(root)'}: ${error.message}`).join('; '));
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+class Schema {
+    constructor(type) {
+        this.type = type;
+        this.checks = [];
+        this.isOptional = false;
+        this.isNullable = false;
+        this.defaultValue = undefined;
+    }
+    
+    // Every modifier returns a copy, so a shared schema can't be changed behind
+    // its users' backs: email.optional() leaves `email` itself required
+    with(changes) {
+        return Object.assign(Object.create(Object.getPrototypeOf(this)), this, changes);
+    }
+    
+    optional() {
+        return this.with({ isOptional: true });
+    }
+    
+    nullable() {
+        return this.with({ isNullable: true });
+    }
+    
+    default(value) {
+        return this.with({ defaultValue: value });
+    }
+    
+    // Custom rule: refine(value => value !== 'admin', 'Reserved name')
+    refine(test, message = 'Invalid value', code = 'custom') {
+        return this.with({ checks: [...this.checks, { test, message, code }] });
+    }
+    
+    // Never throws: { success, value, errors: [{ path, code, message }] }
+    validate(value, { coerce = false } = {}) {
+        const errors = [];
+        const result = this.run(value, [], errors, { coerce });
+        return { success: errors.length === 0, value: result, errors };
+    }
+    
+    // Returns the (possibly coerced) value or throws ValidationError
+    parse(value, options) {
+        const { success, value: result, errors } = this.validate(value, options);
+        if (!success) throw new ValidationError(errors);
+        return result;
+    }
+    
+    run(value, path, errors, options) {
+        if (value === undefined && this.defaultValue !== undefined) {
+            value = typeof this.defaultValue === 'function' ? this.defaultValue() : this.defaultValue;
+        }
+        if (value === undefined) {
+            if (!this.isOptional) addIssue(errors, path, 'required', 'Required');
+            return value;
+        }
+        if (value === null) {
+            if (!this.isNullable) addIssue(errors, path, 'invalid_type', `Expected ${this.type}, received null`);
+            return value;
+        }
+        
+        if (options.coerce) value = this.coerce(value);
+        value = this.normalize(value);
+        
+        const typeError = this.checkType(value);
+        if (typeError) {
+            addIssue(errors, path, 'invalid_type', typeError);
+            return value;
+        }
+        
+        value = this.runChildren(value, path, errors, options);
+        
+        for (const { test, message, code } of this.checks) {
+            if (!test(value)) {
+                addIssue(errors, path, code, typeof message === 'function' ? message(value) : message);
+            }
+        }
+        return value;
+    }
+    
+    coerce(value) {
+        return value;
+    }
+    
+    // Always applied (with or without coerce), e.g. trim()
+    normalize(value) {
+        return value;
+    }
+    
+    runChildren(value) {
+        return value;
+    }
+}
+
+function addIssue(errors, path, code, message) {
+    errors.push({ path: formatPath(path), code, message });
+}
+
+// ['users', 0, 'email'] -> "users[0].email"
+function formatPath(path) {
+    return path.reduce((result, key) =>
+        typeof key === 'number' ? `${result}[${key}]` : (result ? `${result}.${key}` : key), '');
+}
+
+// Practical email rule: 64-char local part, dot-separated labels, real TLD
+const EMAIL_PATTERN = /^(?=.{1,64}@)[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*@(?:[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)+[A-Za-z]{2,63}$/;
+
+class StringSchema extends Schema {
+    constructor() {
+        super('string');
+        this.shouldTrim = false;
+    }
+    
+    // Coercion reuses convertTo's rules, but leaves objects alone ("[object Object]" is never wanted)
+    coerce(value) {
+        if (typeof value === 'number' || typeof value === 'boolean' || typeof value === 'bigint') {
+            return convertTo(value, 'string');
+        }
+        return value;
+    }
+    
+    normalize(value) {
+        return this.shouldTrim && typeof value === 'string' ? value.trim() : value;
+    }
+    
+    checkType(value) {
+        return typeof value === 'string' ? null : `Expected string, received ${getDetailedType(value)}`;
+    }
+    
+    trim() {
+        return this.with({ shouldTrim: true });
+    }
+    
+    min(length, message = `Must be at least ${length} characters`) {
+        return this.refine(value => value.length >= length, message, 'too_short');
+    }
+    
+    max(length, message = `Must be at most ${length} characters`) {
+        return this.refine(value => value.length <= length, message, 'too_long');
+    }
+    
+    pattern(regex, message = `Must match ${regex}`) {
+        return this.refine(value => regex.test(value), message, 'invalid_string');
+    }
+    
+    email(message = 'Invalid email address') {
+        return this.refine(value => value.length <= 254 && EMAIL_PATTERN.test(value), message, 'invalid_email');
+    }
+    
+    oneOf(options, message = `Must be one of: ${options.join(', ')}`) {
+        return this.refine(value => options.includes(value), message, 'invalid_enum');
+    }
+}
+
+class NumberSchema extends Schema {
+    constructor() {
+        super('number');
+    }
+    
+    coerce(value) {
+        if (typeof value === 'string' && value.trim() !== '') {
+            return convertTo(value.trim(), 'number');
+        }
+        return value;
+    }
+    
+    checkType(value) {
+        if (typeof value !== 'number') return `Expected number, received ${getDetailedType(value)}`;
+        if (Number.isNaN(value)) return 'Expected number, received NaN';
+        return null;
+    }
+    
+    int(message = 'Must be an integer') {
+        return this.refine(value => Number.isInteger(value), message, 'not_integer');
+    }
+    
+    min(limit, message = `Must be greater than or equal to ${limit}`) {
+        return this.refine(value => value >= limit, message, 'too_small');
+    }
+    
+    max(limit, message = `Must be less than or equal to ${limit}`) {
+        return this.refine(value => value <= limit, message, 'too_big');
+    }
+    
+    positive(message = 'Must be positive') {
+        return this.refine(value => value > 0, message, 'too_small');
+    }
+}
+
+class BooleanSchema extends Schema {
+    constructor() {
+        super('boolean');
+    }
+    
+    // convertTo('false', 'boolean') is true, which is never what a form means
+    coerce(value) {
+        if (value === 'true' || value === 'false') return value === 'true';
+        if (typeof value === 'number') return convertTo(value, 'boolean');
+        return value;
+    }
+    
+    checkType(value) {
+        return typeof value === 'boolean' ? null : `Expected boolean, received ${getDetailedType(value)}`;
+    }
+}
+
+class ArraySchema extends Schema {
+    constructor(itemSchema) {
+        super('array');
+        this.itemSchema = itemSchema;
+    }
+    
+    checkType(value) {
+        return Array.isArray(value) ? null : `Expected array, received ${getDetailedType(value)}`;
+    }
+    
+    runChildren(value, path, errors, options) {
+        return value.map((item, index) => this.itemSchema.run(item, [...path, index], errors, options));
+    }
+    
+    min(length, message = `Must contain at least ${length} items`) {
+        return this.refine(value => value.length >= length, message, 'too_small');
+    }
+    
+    max(length, message = `Must contain at most ${length} items`) {
+        return this.refine(value => value.length <= length, message, 'too_big');
+    }
+}
+
+class ObjectSchema extends Schema {
+    constructor(shape) {
+        super('object');
+        this.shape = shape;
+        this.unknownKeys = 'strip';   // 'strip' | 'strict' | 'passthrough'
+    }
+    
+    strict() {
+        return this.with({ unknownKeys: 'strict' });
+    }
+    
+    passthrough() {
+        return this.with({ unknownKeys: 'passthrough' });
+    }
+    
+    checkType(value) {
+        return getDetailedType(value) === 'object' ? null : `Expected object, received ${getDetailedType(value)}`;
+    }
+    
+    runChildren(value, path, errors, options) {
+        const result = {};
+        
+        for (const [key, schema] of Object.entries(this.shape)) {
+            const parsed = schema.run(value[key], [...path, key], errors, options);
+            if (parsed !== undefined) result[key] = parsed;
+        }
+        
+        for (const key of Object.keys(value)) {
+            if (Object.prototype.hasOwnProperty.call(this.shape, key)) continue;   // Not `in`: "toString" in shape is true
+            if (this.unknownKeys === 'strict') addIssue(errors, [...path, key], 'unrecognized_key', 'Unknown field');
+            if (this.unknownKeys === 'passthrough') result[key] = value[key];
+        }
+        
+        return result;
+    }
+}
+
+const schema = {
+    string: () => new StringSchema(),
+    number: () => new NumberSchema(),
+    boolean: () => new BooleanSchema(),
+    array: itemSchema => new ArraySchema(itemSchema),
+    object: shape => new ObjectSchema(shape)
+};
+
+// validateUserInput rewritten on top of the schema engine
+const userInputSchema = schema.object({
+    email: schema.string().trim().email().max(254),
+    age: schema.number().int().min(0).max(120)
+});
+
+function validateUserInputWithSchema(userInput, { coerce = false } = {}) {
+    return userInputSchema.validate(userInput, { coerce }).errors
+        .map(error => `${error.path}: ${error.message}`);
+}
+// validateUserInputWithSchema({ email: 'a@b', age: '30' });
+// -> ['email: Invalid email address', 'age: Expected number, received string']
+// validateUserInputWithSchema({ email: ' a@b.io ', age: 30 });                     // [] (email is trimmed)
+// validateUserInputWithSchema({ email: ' a@b.io ', age: '30' }, { coerce: true });  // []
+
 // Scenario 2: API Response Handling
 function handleApiResponse(response) {
     // Check if response exists
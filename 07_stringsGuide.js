@@ -117,9 +117,97 @@ function firstNonRepeatingChar(str) {
     return null;
 }
 
+// ************ UNICODE-AWARE VERSIONS ************
+
+/*
+The Q1-Q4 answers above work on UTF-16 code units, so they break on:
+- Surrogate pairs:      "😀" is 2 code units
+- Combining marks:      "é" can be "e" + U+0301 (2 code points, 1 visible character)
+- Emoji sequences:      "👨‍👩‍👧" is 5 code points joined by zero-width joiners
+The versions below work on grapheme clusters (what a user sees as one
+character) via Intl.Segmenter, and normalize first so "é" === "e\u0301".
+*/
+
+// Splits a string into grapheme clusters after normalizing (NFC by default)
+function graphemes(str, { locale, normalize = 'NFC' } = {}) {
+    const segmenter = new Intl.Segmenter(locale, { granularity: 'grapheme' });
+    return Array.from(segmenter.segment(str.normalize(normalize)), ({ segment }) => segment);
+}
+
+// Locale-aware case folding: upper-then-lower maps "ß" -> "ss", and the locale
+// keeps Turkish "I" -> "ı" correct
+function foldCase(str, locale) {
+    return str.toLocaleUpperCase(locale).toLocaleLowerCase(locale);
+}
+
+// Q1 (Unicode): Reverse a string without splitting characters apart
+function unicodeReverse(str, options) {
+    return graphemes(str, options).reverse().join('');
+}
+
+// Q2 (Unicode): Palindrome check that understands accents and emoji
+function unicodeIsPalindrome(str, {
+    locale,
+    ignorePunctuation = true,   // Drop spaces, punctuation and symbols
+    ignoreDiacritics = false    // Treat "é" as "e"
+} = {}) {
+    let text = foldCase(str, locale);
+    if (ignoreDiacritics) {
+        text = text.normalize('NFD').replace(/\p{M}/gu, '');
+    }
+    
+    let chars = graphemes(text, { locale });
+    if (ignorePunctuation) {
+        chars = chars.filter(char => /[\p{L}\p{N}]/u.test(char));
+    }
+    
+    for (let i = 0, j = chars.length - 1; i < j; i++, j--) {
+        if (chars[i] !== chars[j]) return false;
+    }
+    return true;
+}
+
+// Q3 (Unicode): Count whole-grapheme occurrences ("e" does not match inside "é")
+function unicodeCountOccurrences(str, search, { locale, ignoreCase = false } = {}) {
+    const prepare = text => graphemes(ignoreCase ? foldCase(text, locale) : text, { locale });
+    const haystack = prepare(str);
+    const needle = prepare(search);
+    if (needle.length === 0) return 0;
+    
+    let count = 0;
+    for (let i = 0; i <= haystack.length - needle.length; i++) {
+        if (needle.every((char, k) => haystack[i + k] === char)) {
+            count++;
+            i += needle.length - 1;     // Non-overlapping, like split()
+        }
+    }
+    return count;
+}
+
+// Q4 (Unicode): First non-repeating grapheme, in one counting pass - O(n)
+function unicodeFirstNonRepeatingChar(str, { locale, ignoreCase = false } = {}) {
+    const chars = graphemes(str, { locale });
+    const counts = new Map();
+    
+    for (const char of chars) {
+        const key = ignoreCase ? foldCase(char, locale) : char;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    
+    const found = chars.find(char => counts.get(ignoreCase ? foldCase(char, locale) : char) === 1);
+    return found === undefined ? null : found;
+}
+
+// reverseString('👍🏽é');                         // broken skin tone and accent
+// unicodeReverse('👍🏽e\u0301');                   // "é👍🏽"
+// unicodeIsPalindrome('Ésope reste ici et se repose', { ignoreDiacritics: true }); // true
+// unicodeCountOccurrences('café cafe\u0301', 'é'); // 2
+// unicodeFirstNonRepeatingChar('👨‍👩‍👧👨‍👩‍👧x');      // "x"
+
 // ************ PRACTICAL EXAMPLES ************
 
-// 1. Email Validation
+// 1. Email Validation (quick check - for real forms use schema.string().email()
+//    in 01_DataType_Basic/05_dataTypesInterviewPrep.js)
 function isValidEmail(email) {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     return emailRegex.test(email);
@@ -140,11 +228,339 @@ function parseURL(url) {
     }
 }
 
+// 2.1 URL Toolkit
+// parseURL above hides *why* a URL was rejected; these helpers throw a
+// URLError with a machine-readable code instead.
+class URLError extends Error {
+    constructor(code, message, input) {
+        super(message);
+        this.name = 'URLError';
+        this.code = code;     // 'EMPTY' | 'MISSING_PROTOCOL' | 'UNSUPPORTED_PROTOCOL' | 'INVALID_PORT' | 'INVALID_HOST' | 'INVALID_URL'
+        this.input = input;
+    }
+}
+
+// Explains why new URL() rejected the input
+function diagnoseURL(input) {
+    if (typeof input !== 'string' || input.trim() === '') {
+        return new URLError('EMPTY', 'URL is empty', input);
+    }
+    if (!/^[a-z][a-z\d+.-]*:/i.test(input.trim())) {
+        return new URLError('MISSING_PROTOCOL', `URL "${input}" has no protocol (e.g. "https://") and no base URL was given`, input);
+    }
+    const port = input.match(/^[a-z][a-z\d+.-]*:\/\/[^/?#]*?:([^/?#@]*)(?:[/?#]|$)/i);
+    if (port && (!/^\d*$/.test(port[1]) || Number(port[1]) > 65535)) {
+        return new URLError('INVALID_PORT', `Port "${port[1]}" must be a number between 0 and 65535`, input);
+    }
+    return new URLError('INVALID_HOST', `URL "${input}" has an invalid or missing host`, input);
+}
+
+function parseURLStrict(input, { base, protocols = ['http:', 'https:'] } = {}) {
+    let url;
+    try {
+        url = base === undefined ? new URL(input) : new URL(input, base);
+    } catch (e) {
+        if (base !== undefined && typeof input === 'string' && input.trim() !== '') {
+            throw new URLError('INVALID_URL', `Cannot resolve "${input}" against base "${base}"`, input);
+        }
+        throw diagnoseURL(input);
+    }
+    
+    if (protocols && !protocols.includes(url.protocol)) {
+        throw new URLError('UNSUPPORTED_PROTOCOL',
+            `Protocol "${url.protocol}" is not allowed (expected ${protocols.join(', ')})`, input);
+    }
+    
+    return {
+        href: url.href,
+        protocol: url.protocol,
+        username: url.username,
+        password: url.password,
+        hostname: url.hostname,
+        port: url.port,
+        pathname: url.pathname,
+        search: url.search,
+        query: parseQuery(url.search),
+        hash: url.hash
+    };
+}
+
+// "?tag=a&tag=b&q=x%20y" -> Map { 'tag' => ['a', 'b'], 'q' => ['x y'] }
+function parseQuery(query) {
+    const params = new Map();
+    for (const [key, value] of new URLSearchParams(query)) {
+        if (!params.has(key)) params.set(key, []);
+        params.get(key).push(value);
+    }
+    return params;
+}
+
+// Accepts a Map or plain object; array values become repeated keys
+function buildQuery(params) {
+    const search = new URLSearchParams();
+    const entries = params instanceof Map ? params.entries() : Object.entries(params);
+    
+    for (const [key, value] of entries) {
+        const values = Array.isArray(value) ? value : [value];
+        values
+            .filter(item => item !== undefined && item !== null)
+            .forEach(item => search.append(key, String(item)));
+    }
+    
+    const query = search.toString();
+    return query ? `?${query}` : '';
+}
+
+function buildURL({
+    protocol = 'https:',
+    username = '',
+    password = '',
+    hostname,
+    port = '',
+    pathname = '/',
+    query = {},
+    hash = ''
+}) {
+    if (!hostname) {
+        throw new URLError('INVALID_HOST', 'Cannot build a URL without a hostname', hostname);
+    }
+    
+    const scheme = protocol.endsWith(':') ? protocol : `${protocol}:`;
+    const auth = username ? `${encodeURIComponent(username)}${password ? ':' + encodeURIComponent(password) : ''}@` : '';
+    const path = pathname.startsWith('/') ? pathname : `/${pathname}`;
+    const fragment = hash && !hash.startsWith('#') ? `#${hash}` : hash;
+    
+    return parseURLStrict(`${scheme}//${auth}${hostname}${port ? ':' + port : ''}${path}${buildQuery(query)}${fragment}`,
+        { protocols: null }).href;
+}
+
+// resolveURL('../img/logo.png', 'https://site.com/docs/guide/') -> "https://site.com/docs/img/logo.png"
+function resolveURL(relative, base) {
+    return parseURLStrict(relative, { base, protocols: null }).href;
+}
+
+// Canonical form for comparing and de-duplicating links:
+// lowercase protocol/host, no default port, sorted params, no trailing slash
+function normalizeURL(input, {
+    sortParams = true,
+    removeTrailingSlash = true,
+    removeHash = false,
+    removeEmptyQuery = true
+} = {}) {
+    const url = new URL(parseURLStrict(input, { protocols: null }).href);  // URL drops default ports
+    
+    if (sortParams) url.searchParams.sort();      // Stable: repeated keys keep their order
+    if (removeTrailingSlash && url.pathname.length > 1) {
+        url.pathname = url.pathname.replace(/\/+$/, '');
+    }
+    if (removeHash) url.hash = '';
+    
+    let href = url.href;
+    if (removeEmptyQuery) href = href.replace(/\?(?=#|$)/, '');
+    return href;
+}
+
+// normalizeURL('HTTPS://Example.COM:443/a/b/?z=1&a=2#top') -> "https://example.com/a/b?a=2&z=1#top"
+// parseURLStrict('example.com')    -> URLError { code: 'MISSING_PROTOCOL' }
+// parseURLStrict('ftp://x.org')     -> URLError { code: 'UNSUPPORTED_PROTOCOL' }
+
 // 3. String Formatting
-function formatNumber(num) {
-    return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+// The regex version ("1234.5678" -> "1,234.5,678") broke on decimals and only
+// knew US grouping; Intl handles decimals, negatives and every locale
+function formatNumber(num, locale = 'en-US') {
+    return getNumberFormat(locale, { maximumFractionDigits: 20 }).format(num);
+}
+
+// 3.1 Locale-Aware Number Formatting
+// Intl.NumberFormat construction is slow, so formatters are cached per locale + options
+const numberFormatCache = new Map();
+
+function getNumberFormat(locale, options = {}) {
+    const key = `${locale}|${JSON.stringify(options)}`;
+    if (!numberFormatCache.has(key)) {
+        numberFormatCache.set(key, new Intl.NumberFormat(locale, options));
+    }
+    return numberFormatCache.get(key);
+}
+
+// style: 'decimal' | 'currency' | 'percent' | 'compact' | 'unit'
+function formatLocaleNumber(value, { locale = 'en-US', style = 'decimal', ...options } = {}) {
+    if (style === 'compact') {
+        return getNumberFormat(locale, { notation: 'compact', maximumFractionDigits: 1, ...options }).format(value);
+    }
+    return getNumberFormat(locale, { style, ...options }).format(value);
 }
 
+const formatCurrency = (value, currency, locale) => formatLocaleNumber(value, { locale, style: 'currency', currency });
+const formatPercent = (value, locale, digits = 0) =>
+    formatLocaleNumber(value, { locale, style: 'percent', maximumFractionDigits: digits });
+const formatCompact = (value, locale) => formatLocaleNumber(value, { locale, style: 'compact' });
+const formatUnit = (value, unit, locale, unitDisplay = 'short') =>
+    formatLocaleNumber(value, { locale, style: 'unit', unit, unitDisplay });
+
+// formatCurrency(1234.5, 'EUR', 'de-DE')   // "1.234,50 €"
+// formatPercent(0.256, 'en-US', 1)         // "25.6%"
+// formatCompact(1234, 'en-US')             // "1.2K"
+// formatUnit(12, 'kilometer-per-hour')     // "12 km/h"
+
+// 3.2 Locale-Aware Number Parsing
+// Learns the locale's symbols from Intl itself instead of hardcoding them
+const numberSymbolsCache = new Map();
+const KNOWN_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CNY', 'INR', 'CHF', 'CAD', 'AUD', 'SEK', 'NOK', 'DKK', 'PLN', 'BRL', 'RUB', 'KRW', 'MXN'];
+const KNOWN_UNITS = [
+    'kilometer', 'meter', 'centimeter', 'millimeter', 'mile', 'foot', 'inch',
+    'kilogram', 'gram', 'pound', 'liter', 'milliliter',
+    'kilometer-per-hour', 'mile-per-hour', 'celsius', 'fahrenheit',
+    'second', 'minute', 'hour', 'day', 'byte', 'kilobyte', 'megabyte', 'gigabyte'
+];
+
+function getNumberSymbols(locale) {
+    if (numberSymbolsCache.has(locale)) return numberSymbolsCache.get(locale);
+    
+    const parts = getNumberFormat(locale).formatToParts(-12345.6);
+    const find = type => (parts.find(part => part.type === type) || {}).value;
+    
+    // Localized digits (e.g. Arabic-Indic) -> ASCII
+    const digits = new Map();
+    for (let d = 0; d <= 9; d++) {
+        digits.set(getNumberFormat(locale, { useGrouping: false }).format(d), String(d));
+    }
+    
+    // Compact suffixes such as K/M/B (en) or "k"/"Mio." (de) with their multipliers
+    const compact = [];
+    for (const exponent of [3, 6, 9, 12]) {
+        const suffix = getNumberFormat(locale, { notation: 'compact' })
+            .formatToParts(10 ** exponent)
+            .find(part => part.type === 'compact');
+        if (suffix) compact.push({ suffix: suffix.value, multiplier: 10 ** exponent });
+    }
+    compact.sort((a, b) => b.suffix.length - a.suffix.length);  // Longest match first
+    
+    // Group sizes: 3 digits everywhere in en-US (1,234,567), 3 then 2 in en-IN (12,34,567)
+    const integerGroups = getNumberFormat(locale).formatToParts(1234567890)
+        .filter(part => part.type === 'integer')
+        .map(part => part.value.length);
+    const primary = integerGroups[integerGroups.length - 1];
+    const secondary = integerGroups.length > 2 ? integerGroups[integerGroups.length - 2] : primary;
+    
+    // Text allowed around the number: currency symbols/codes and unit labels
+    const affixes = new Set();
+    for (const currency of KNOWN_CURRENCIES) {
+        for (const currencyDisplay of ['symbol', 'narrowSymbol', 'code']) {
+            const part = new Intl.NumberFormat(locale, { style: 'currency', currency, currencyDisplay })
+                .formatToParts(1).find(({ type }) => type === 'currency');
+            if (part) affixes.add(part.value.toLowerCase());
+        }
+    }
+    for (const unit of KNOWN_UNITS) {
+        for (const unitDisplay of ['short', 'narrow']) {
+            const part = new Intl.NumberFormat(locale, { style: 'unit', unit, unitDisplay })
+                .formatToParts(1).find(({ type }) => type === 'unit');
+            if (part) affixes.add(part.value.trim().toLowerCase());
+        }
+    }
+    
+    const symbols = {
+        group: find('group') || ',',
+        decimal: find('decimal') || '.',
+        minus: find('minusSign') || '-',
+        digits,
+        compact,
+        groupSizes: { primary, secondary },
+        affixes
+    };
+    numberSymbolsCache.set(locale, symbols);
+    return symbols;
+}
+
+const escapeForRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// parseLocaleNumber('1.234,56', 'de-DE')     // 1234.56
+// parseLocaleNumber('-1 234,5 €', 'fr-FR')   // -1234.5
+// parseLocaleNumber('12,5 %', 'de-DE')       // 0.125
+// parseLocaleNumber('1.2K')                  // 1200
+// parseLocaleNumber('(42.00)', 'en-US')      // -42 (accounting style)
+// parseLocaleNumber('-€9,876.54')            // -9876.54
+// parseLocaleNumber('12 km/h')               // 12
+// parseLocaleNumber('12,34,567', 'en-IN')    // 1234567
+// parseLocaleNumber('1,2,3')                 // NaN (groups must have the locale's sizes)
+// parseLocaleNumber('12 apples')             // NaN (only currency/unit text may surround it)
+// parseLocaleNumber('1-')                    // NaN (a trailing sign isn't dropped silently)
+// Returns NaN for anything that isn't a number in that locale
+function parseLocaleNumber(input, locale = 'en-US') {
+    if (typeof input === 'number') return input;
+    if (typeof input !== 'string') return NaN;
+    
+    const { group, decimal, minus, digits, compact, groupSizes, affixes } = getNumberSymbols(locale);
+    let text = input.trim();
+    
+    text = Array.from(text, char => digits.get(char) || char).join('');
+    
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1).trim();
+    }
+    
+    let multiplier = 1;
+    if (/%|\u066A/.test(text)) {
+        multiplier = 0.01;
+        text = text.replace(/%|\u066A/g, '');
+    }
+    
+    // Compact suffix must directly follow the number (ignoring spaces)
+    for (const { suffix, multiplier: factor } of compact) {
+        const match = text.match(new RegExp(`^(.*\\d)\\s*${escapeForRegex(suffix)}\\s*$`, 'i'));
+        if (match) {
+            text = match[1];
+            multiplier *= factor;
+            break;
+        }
+    }
+    
+    // Split off whatever surrounds the digits; it may only be a sign plus a
+    // known currency or unit label
+    let start = text.search(/\d/);
+    if (start === -1) return NaN;
+    if (start > 0 && text.slice(0, start).endsWith(decimal)) start -= decimal.length;  // ",5"
+    const end = text.search(/\d\D*$/) + 1;
+    
+    const isAffix = affix => affix === '' || affixes.has(affix.toLowerCase());
+    let prefix = text.slice(0, start);
+    const sign = prefix.match(/[-+\u2212]/) || (minus !== '-' && prefix.includes(minus) ? [minus] : null);
+    if (sign) {
+        if (sign[0] !== '+') negative = !negative;
+        prefix = prefix.replace(sign[0], '');
+    }
+    if (!isAffix(prefix.trim()) || !isAffix(text.slice(end).trim())) return NaN;
+    text = text.slice(start, end);
+    
+    // Group separators: the locale's own, plus the space variants people type
+    const isSpaceGroup = /\s/.test(group);
+    const groupPattern = isSpaceGroup ? '[\\s\\u00A0\\u202F]' : escapeForRegex(group);
+    
+    const [integer, fraction, ...extra] = text.split(decimal);
+    if (extra.length) return NaN;
+    if (fraction !== undefined && !/^\d+$/.test(fraction)) return NaN;
+    
+    // "1,234,567" is fine, "1,2,3" and "12,34" are not (en-IN: "12,34,567" is)
+    const groups = integer.split(new RegExp(groupPattern));
+    const { primary, secondary } = groupSizes;
+    const validGroups = groups.every((digitGroup, i) => {
+        if (!/^\d*$/.test(digitGroup)) return false;
+        if (groups.length === 1) return fraction !== undefined || digitGroup !== '';
+        if (i === 0) return digitGroup.length >= 1 && digitGroup.length <= (groups.length > 2 ? secondary : primary);
+        return digitGroup.length === (i === groups.length - 1 ? primary : secondary);
+    });
+    if (!validGroups) return NaN;
+    
+    text = groups.join('') + (fraction !== undefined ? '.' + fraction : '');
+    
+    const value = Number(text) * multiplier;
+    return negative ? -value : value;
+}
+
+
 // ************ ADVANCED INTERVIEW QUESTIONS ************
 
 // Q1: Implement string compression
@@ -164,6 +580,176 @@ function compressString(str) {
     return compressed.length < str.length ? compressed : str;
 }
 
+// Q1.1: Reversible run-length encoding
+// compressString can't be decoded once digits appear: "a1111111" -> "a117" reads as 117 a's.
+// Format: [count] atom, where
+//   count = decimal run length, only written for runs of 3 or more
+//   atom  = any character except a digit or "\", or "\" followed by one character
+// So digits in the input are always escaped ("a11" -> "a\1\1"), and a run
+// is always counted in code points, never splitting emoji.
+const RLE_MIN_RUN = 3;
+
+function encodeRLEAtom(char) {
+    return /[0-9\\]/.test(char) ? '\\' + char : char;
+}
+
+function encodeRLERun(char, count) {
+    const atom = encodeRLEAtom(char);
+    return count >= RLE_MIN_RUN ? count + atom : atom.repeat(count);
+}
+
+function encodeRLE(str) {
+    const encoder = new RLEEncoder();
+    return encoder.write(str) + encoder.end();
+}
+
+function decodeRLE(encoded) {
+    const decoder = new RLEDecoder();
+    return decoder.write(encoded) + decoder.end();
+}
+
+// Streaming versions: feed chunks with write(), finish with end().
+// State (the open run, a half-read count, a split surrogate pair) is kept between chunks.
+class RLEEncoder {
+    constructor() {
+        this.runChar = null;
+        this.runLength = 0;
+        this.pendingHighSurrogate = '';
+    }
+    
+    write(chunk) {
+        const text = holdSplitSurrogate(this, chunk);
+        let output = '';
+        for (const char of text) {
+            output += this.addChar(char);
+        }
+        return output;
+    }
+    
+    end() {
+        // A lone high surrogate left at the very end is encoded as-is
+        let output = this.pendingHighSurrogate ? this.addChar(this.pendingHighSurrogate) : '';
+        if (this.runChar !== null) output += encodeRLERun(this.runChar, this.runLength);
+        this.runChar = null;
+        this.runLength = 0;
+        this.pendingHighSurrogate = '';
+        return output;
+    }
+    
+    // Returns the encoded previous run once a different character arrives
+    addChar(char) {
+        if (char === this.runChar) {
+            this.runLength++;
+            return '';
+        }
+        const output = this.runChar === null ? '' : encodeRLERun(this.runChar, this.runLength);
+        this.runChar = char;
+        this.runLength = 1;
+        return output;
+    }
+}
+
+// A chunk may end halfway through a surrogate pair; keep the first half for the next chunk
+function holdSplitSurrogate(codec, chunk) {
+    let text = codec.pendingHighSurrogate + chunk;
+    codec.pendingHighSurrogate = '';
+    
+    const lastCode = text.charCodeAt(text.length - 1);
+    if (lastCode >= 0xD800 && lastCode <= 0xDBFF) {
+        codec.pendingHighSurrogate = text.slice(-1);
+        text = text.slice(0, -1);
+    }
+    return text;
+}
+
+class RLEDecoder {
+    constructor() {
+        this.count = '';
+        this.escaped = false;
+        this.pendingHighSurrogate = '';
+    }
+    
+    write(chunk) {
+        const text = holdSplitSurrogate(this, chunk);
+        let output = '';
+        for (const char of text) {
+            output += this.readChar(char);
+        }
+        return output;
+    }
+    
+    end() {
+        let output = this.pendingHighSurrogate ? this.readChar(this.pendingHighSurrogate) : '';
+        this.pendingHighSurrogate = '';
+        if (this.count || this.escaped) {
+            throw new SyntaxError(`Truncated RLE input: dangling ${this.escaped ? 'escape' : `count "${this.count}"`}`);
+        }
+        return output;
+    }
+    
+    readChar(char) {
+        if (!this.escaped) {
+            if (char >= '0' && char <= '9') {
+                this.count += char;
+                return '';
+            }
+            if (char === '\\') {
+                this.escaped = true;
+                return '';
+            }
+        }
+        
+        const output = this.count ? char.repeat(Number(this.count)) : char;
+        this.count = '';
+        this.escaped = false;
+        return output;
+    }
+}
+
+// encodeRLE('aaaabccc')        // "4ab3c"
+// encodeRLE('a11')             // "a\\1\\1"  (decodes back to "a11")
+// encodeRLE('😀😀😀x')          // "3😀x"
+
+// Round-trip property check: decode(encode(x)) === x for random inputs,
+// both in one piece and streamed in random (even mid-surrogate) chunks
+function checkRLERoundTrip(iterations = 500) {
+    const alphabet = ['a', 'b', '1', '0', '9', '\\', ' ', 'é', 'e\u0301', '😀', '👍🏽', '\n'];
+    const failures = [];
+    
+    const randomChunks = str => {
+        const chunks = [];
+        for (let i = 0; i < str.length;) {
+            const size = 1 + Math.floor(Math.random() * 4);
+            chunks.push(str.slice(i, i + size));
+            i += size;
+        }
+        return chunks;
+    };
+    
+    const stream = (Codec, chunks) => {
+        const codec = new Codec();
+        return chunks.map(chunk => codec.write(chunk)).join('') + codec.end();
+    };
+    
+    for (let i = 0; i < iterations; i++) {
+        let input = '';
+        const runs = Math.floor(Math.random() * 10);
+        for (let r = 0; r < runs; r++) {
+            input += alphabet[Math.floor(Math.random() * alphabet.length)].repeat(1 + Math.floor(Math.random() * 12));
+        }
+        
+        const encoded = encodeRLE(input);
+        const streamed = stream(RLEEncoder, randomChunks(input));
+        const decoded = stream(RLEDecoder, randomChunks(encoded));
+        
+        if (decodeRLE(encoded) !== input || streamed !== encoded || decoded !== input) {
+            failures.push({ input, encoded, streamed, decoded });
+        }
+    }
+    return failures;
+}
+// checkRLERoundTrip();          // [] when every round trip succeeds
+
 // Q2: Find longest common prefix
 function longestCommonPrefix(strs) {
     if (!strs.length) return '';
@@ -179,15 +765,101 @@ function longestCommonPrefix(strs) {
 }
 
 // Q3: Implement string pattern matching
-function isMatch(str, pattern) {
-    const dp = Array(str.length + 1).fill()
-        .map(() => Array(pattern.length + 1).fill(false));
-    dp[0][0] = true;
+// mode 'glob':  ?  matches one character, * matches any sequence (even empty)
+// mode 'regex': .  matches one character, x* matches zero or more of x
+// Rolling DP rows keep memory at O(pattern) instead of O(str * pattern)
+function isMatch(str, pattern, { mode = 'glob', ignoreCase = false } = {}) {
+    // Compare code points so emoji and other surrogate pairs count as one character
+    const s = Array.from(ignoreCase ? str.toLowerCase() : str);
+    const p = Array.from(ignoreCase ? pattern.toLowerCase() : pattern);
     
-    // Implementation of wildcard pattern matching
-    // This is a common interview question
-    return dp[str.length][pattern.length];
+    if (mode === 'glob') return globMatch(s, p);
+    if (mode === 'regex') return regexMatch(s, p);
+    throw new Error(`Unknown match mode: ${mode}`);
+}
+
+function globMatch(s, p) {
+    // Collapse runs of '*' - they match exactly the same strings as a single '*'
+    p = p.filter((char, j) => !(char === '*' && p[j - 1] === '*'));
+    
+    // prev[j] = does s[0..i) match p[0..j)?
+    let prev = new Array(p.length + 1).fill(false);
+    prev[0] = true;
+    for (let j = 1; j <= p.length; j++) {
+        prev[j] = prev[j - 1] && p[j - 1] === '*';
+    }
+    
+    for (let i = 1; i <= s.length; i++) {
+        const cur = new Array(p.length + 1).fill(false);
+        for (let j = 1; j <= p.length; j++) {
+            if (p[j - 1] === '*') {
+                cur[j] = cur[j - 1] || prev[j];   // '*' matches empty, or eats s[i - 1]
+            } else {
+                cur[j] = prev[j - 1] && (p[j - 1] === '?' || p[j - 1] === s[i - 1]);
+            }
+        }
+        prev = cur;
+    }
+    
+    return prev[p.length];
+}
+
+function regexMatch(s, p) {
+    if (p[0] === '*') {
+        throw new SyntaxError("Pattern cannot start with '*' in regex mode");
+    }
+    
+    const matchesChar = (char, token) => token === '.' || token === char;
+    
+    let prev = new Array(p.length + 1).fill(false);
+    prev[0] = true;
+    for (let j = 2; j <= p.length; j++) {
+        prev[j] = p[j - 1] === '*' && prev[j - 2];  // x*y*z* can match ''
+    }
+    
+    for (let i = 1; i <= s.length; i++) {
+        const cur = new Array(p.length + 1).fill(false);
+        for (let j = 1; j <= p.length; j++) {
+            if (p[j - 1] === '*') {
+                // Zero copies of p[j - 2], or one more copy consuming s[i - 1]
+                cur[j] = cur[j - 2] || (matchesChar(s[i - 1], p[j - 2]) && prev[j]);
+            } else {
+                cur[j] = prev[j - 1] && matchesChar(s[i - 1], p[j - 1]);
+            }
+        }
+        prev = cur;
+    }
+    
+    return prev[p.length];
+}
+
+// Tricky cases: [str, pattern, options, expected]
+const isMatchCases = [
+    ['', '', {}, true],
+    ['', '*', {}, true],
+    ['', '?', {}, false],
+    ['adceb', '*a*b', {}, true],
+    ['acdcb', 'a*c?b', {}, false],
+    ['abc', '***', {}, true],
+    ['ABC', 'a?c', { ignoreCase: true }, true],
+    ['😀x', '?x', {}, true],
+    ['a'.repeat(2000) + 'b', 'a*a*a*a*a*c', {}, false],          // Backtracking killer
+    ['', 'a*b*c*', { mode: 'regex' }, true],
+    ['aa', 'a', { mode: 'regex' }, false],
+    ['aa', 'a*', { mode: 'regex' }, true],
+    ['ab', '.*', { mode: 'regex' }, true],
+    ['aab', 'c*a*b', { mode: 'regex' }, true],
+    ['mississippi', 'mis*is*p*.', { mode: 'regex' }, false],
+    ['a'.repeat(3000) + 'b'.repeat(3000) + 'c'.repeat(3000), 'a*b*c*', { mode: 'regex' }, true],
+    ['a'.repeat(3000) + 'cb', 'a*b*c*', { mode: 'regex' }, false],
+    ['a'.repeat(30), 'a*a*a*a*a*a*a*a*a*a*b', { mode: 'regex' }, false]
+];
+
+function checkIsMatchCases() {
+    return isMatchCases.filter(([str, pattern, options, expected]) =>
+        isMatch(str, pattern, options) !== expected);
 }
+// checkIsMatchCases();               // [] when every case passes
 
 // ************ BEST PRACTICES ************
 
@@ -213,33 +885,652 @@ function isMatch(str, pattern) {
 
 // ************ STRING BUILDER PATTERN ************
 class StringBuilder {
-    constructor() {
+    constructor({ indentUnit = '    ', newline = '\n' } = {}) {
         this.strings = [];
+        this.totalLength = 0;       // Tracked on every write so length never re-joins
+        this.indentUnit = indentUnit;
+        this.indentLevel = 0;
+        this.newline = newline;
+        this.atLineStart = true;
+    }
+    
+    get length() {
+        return this.totalLength;
+    }
+    
+    get stats() {
+        return {
+            length: this.totalLength,
+            chunks: this.strings.length,
+            indentLevel: this.indentLevel
+        };
+    }
+    
+    append(value) {
+        const text = String(value);
+        if (!text.includes(this.newline)) {
+            this.writeLinePart(text);
+            return this;
+        }
+        
+        text.split(this.newline).forEach((line, i) => {
+            if (i > 0) this.endLine();
+            this.writeLinePart(line);
+        });
+        return this;
+    }
+    
+    appendLine(value = '') {
+        this.append(value);
+        this.endLine();
+        return this;
+    }
+    
+    // appendFormat('%s has %d items (100%%)', 'cart', 3.7) -> "cart has 3 items (100%)"
+    appendFormat(format, ...args) {
+        let argIndex = 0;
+        const text = format.replace(/%([sd%])/g, (match, type) => {
+            if (type === '%') return '%';
+            if (argIndex >= args.length) return match;
+            const arg = args[argIndex++];
+            return type === 'd' ? String(Math.trunc(Number(arg))) : String(arg);
+        });
+        return this.append(text);
+    }
+    
+    insert(index, value) {
+        if (index < 0 || index > this.totalLength) {
+            throw new RangeError(`Index ${index} is outside 0..${this.totalLength}`);
+        }
+        const text = String(value);
+        const atEnd = index === this.totalLength;
+        const [chunk, offset] = this.locateChunk(index);
+        const current = this.strings[chunk] || '';
+        this.strings.splice(chunk, 1, current.slice(0, offset) + text + current.slice(offset));
+        this.totalLength += text.length;
+        // Only an insert at the end changes the last character, and with it whether
+        // the next append starts a new (indented) line
+        if (atEnd && text !== '') this.atLineStart = this.toString().endsWith(this.newline);
+        return this;
+    }
+    
+    remove(start, length) {
+        if (start < 0 || length < 0 || start + length > this.totalLength) {
+            throw new RangeError(`Cannot remove ${length} characters at ${start} from length ${this.totalLength}`);
+        }
+        const text = this.toString();
+        this.reset(text.slice(0, start) + text.slice(start + length));
+        return this;
     }
     
-    append(str) {
-        this.strings.push(str);
+    // Replaces every occurrence of a string, or whatever a RegExp matches
+    replace(search, replacement) {
+        const text = this.toString();
+        this.reset(typeof search === 'string'
+            ? text.split(search).join(replacement)
+            : text.replace(search, replacement));
+        return this;
+    }
+    
+    clear() {
+        this.strings = [];
+        this.totalLength = 0;
+        this.atLineStart = true;
+        return this;
+    }
+    
+    indent() {
+        this.indentLevel++;
+        return this;
+    }
+    
+    dedent() {
+        this.indentLevel = Math.max(0, this.indentLevel - 1);
         return this;
     }
     
     toString() {
-        return this.strings.join('');
+        // Cache the joined result so repeated toString() calls stay cheap
+        if (this.strings.length > 1) {
+            this.strings = [this.strings.join('')];
+        }
+        return this.strings[0] || '';
     }
+    
+    // Indents line starts that have content, never blank lines
+    writeLinePart(text) {
+        if (text === '') return;
+        if (this.atLineStart && this.indentLevel > 0) {
+            this.push(this.indentUnit.repeat(this.indentLevel));
+        }
+        this.push(text);
+        this.atLineStart = false;
+    }
+    
+    endLine() {
+        this.push(this.newline);
+        this.atLineStart = true;
+    }
+    
+    push(text) {
+        this.strings.push(text);
+        this.totalLength += text.length;
+    }
+    
+    reset(text) {
+        this.strings = text ? [text] : [];
+        this.totalLength = text.length;
+        this.atLineStart = text === '' || text.endsWith(this.newline);
+    }
+    
+    // Returns [chunkIndex, offsetInChunk] for a character index
+    locateChunk(index) {
+        let seen = 0;
+        for (let i = 0; i < this.strings.length; i++) {
+            if (index <= seen + this.strings[i].length) {
+                return [i, index - seen];
+            }
+            seen += this.strings[i].length;
+        }
+        return [this.strings.length, 0];
+    }
+}
+
+// Generating code:
+// new StringBuilder()
+//     .appendLine('function greet(name) {')
+//     .indent()
+//     .appendFormat('return `Hello ${name}, you are #%d`;', 1).appendLine()
+//     .dedent()
+//     .appendLine('}')
+//     .toString();
+
+// Benchmark: StringBuilder vs += for large outputs
+// Modern engines build += results as ropes, so += is often just as fast;
+// the builder wins when you also need insert/remove/length along the way.
+function benchmarkStringBuilder(lines = 200000) {
+    const line = 'const value = 42; // generated line';
+    
+    let start = performance.now();
+    let concatenated = '';
+    for (let i = 0; i < lines; i++) {
+        concatenated += line + '\n';
+    }
+    const concatLength = concatenated.length;   // Force the rope to flatten
+    const concatMs = performance.now() - start;
+    
+    start = performance.now();
+    const builder = new StringBuilder();
+    for (let i = 0; i < lines; i++) {
+        builder.appendLine(line);
+    }
+    const builderLength = builder.toString().length;
+    const builderMs = performance.now() - start;
+    
+    return {
+        lines,
+        concatMs: Math.round(concatMs),
+        builderMs: Math.round(builderMs),
+        sameLength: concatLength === builderLength
+    };
 }
+// console.log(benchmarkStringBuilder());
 
 // ************ PRACTICAL USAGE EXAMPLES ************
 
 // 1. Template Engine
+//   ${user.address.city}            dotted paths (0 and false render, null/undefined don't)
+//   ${name | upper | truncate:10}   filters, with optional arguments
+//   ${bio | raw}                    skip HTML escaping for one value
+//   {{#each items}}...{{/each}}     loop; ${this}, ${@index}, ${@first}, ${@last}
+//   {{#if path}}...{{else}}...{{/if}}
+class TemplateError extends Error {
+    constructor(message, source, index) {
+        const { line, column } = locateInTemplate(source, index);
+        super(`${message} (line ${line}, column ${column})`);
+        this.name = 'TemplateError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+function locateInTemplate(source, index) {
+    const lines = source.slice(0, index).split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+const templateFilters = {
+    upper: value => String(value).toUpperCase(),
+    lower: value => String(value).toLowerCase(),
+    trim: value => String(value).trim(),
+    capitalize: value => String(value).charAt(0).toUpperCase() + String(value).slice(1),
+    truncate: (value, length = 20, suffix = '...') =>
+        String(value).length > length ? String(value).slice(0, length) + suffix : String(value),
+    default: (value, fallback = '') => (value === undefined || value === null || value === '') ? fallback : value,
+    json: value => JSON.stringify(value),
+    join: (value, separator = ', ') => Array.isArray(value) ? value.join(separator) : value
+};
+
+// Splits the source into text, ${expression} and {{block}} tokens
+function tokenizeTemplate(source) {
+    const tokens = [];
+    const tagPattern = /\$\{|\{\{/g;
+    let last = 0;
+    let match;
+    
+    while ((match = tagPattern.exec(source))) {
+        const start = match.index;
+        const closer = match[0] === '${' ? '}' : '}}';
+        const end = source.indexOf(closer, start + 2);
+        if (end === -1) {
+            throw new TemplateError(`Unclosed '${match[0]}' tag`, source, start);
+        }
+        
+        if (start > last) tokens.push({ type: 'text', value: source.slice(last, start) });
+        tokens.push({
+            type: match[0] === '${' ? 'expr' : 'tag',
+            value: source.slice(start + 2, end).trim(),
+            index: start
+        });
+        last = tagPattern.lastIndex = end + closer.length;
+    }
+    
+    if (last < source.length) tokens.push({ type: 'text', value: source.slice(last) });
+    return tokens;
+}
+
+// Splits on `separator` except inside '...' or "...", so join:", " keeps its comma
+function splitOutsideQuotes(text, separator) {
+    const parts = [];
+    let quote = null;
+    let start = 0;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === separator) {
+            parts.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start));
+    return parts;
+}
+
+// "name | truncate:10,'..'" -> { path: ['name'], filters: [{ name: 'truncate', args: [10, '..'] }] }
+function parseExpression(expression, source, index) {
+    const [pathPart, ...filterParts] = splitOutsideQuotes(expression, '|').map(part => part.trim());
+    if (!pathPart) throw new TemplateError('Empty expression', source, index);
+    
+    const filters = filterParts.map(part => {
+        const [name, argList] = part.split(/:(.*)/s);
+        const args = argList === undefined ? [] : splitOutsideQuotes(argList, ',').map(arg => {
+            arg = arg.trim();
+            if (/^(['"]).*\1$/.test(arg)) return arg.slice(1, -1);
+            if (arg !== '' && !Number.isNaN(Number(arg))) return Number(arg);
+            throw new TemplateError(`Invalid argument '${arg}' for filter '${name}'`, source, index);
+        });
+        return { name: name.trim(), args };
+    });
+    
+    return { path: pathPart.split('.'), filters, index };
+}
+
+// Builds a tree of nodes, matching every {{#block}} with its {{/block}}
+function parseTemplate(source) {
+    const root = { children: [] };
+    const stack = [root];
+    
+    for (const token of tokenizeTemplate(source)) {
+        const current = stack[stack.length - 1];
+        
+        if (token.type === 'text') {
+            current.children.push(token);
+        } else if (token.type === 'expr') {
+            current.children.push({ type: 'expr', ...parseExpression(token.value, source, token.index) });
+        } else if (token.value === 'else') {
+            if (current.type !== 'if' || current.elseChildren) {
+                throw new TemplateError('Unexpected {{else}}', source, token.index);
+            }
+            current.elseChildren = [];
+            current.children = current.elseChildren;
+        } else if (token.value.startsWith('#')) {
+            const [keyword, path] = token.value.slice(1).split(/\s+/);
+            if (keyword !== 'each' && keyword !== 'if') {
+                throw new TemplateError(`Unknown block '{{#${keyword}}}'`, source, token.index);
+            }
+            if (!path) {
+                throw new TemplateError(`{{#${keyword}}} needs a path`, source, token.index);
+            }
+            const node = { type: keyword, path: path.split('.'), index: token.index, children: [] };
+            node.thenChildren = node.children;
+            current.children.push(node);
+            stack.push(node);
+        } else if (token.value.startsWith('/')) {
+            const keyword = token.value.slice(1).trim();
+            if (current === root || current.type !== keyword) {
+                throw new TemplateError(`Unexpected {{/${keyword}}}`, source, token.index);
+            }
+            current.children = current.thenChildren;
+            stack.pop();
+        } else {
+            throw new TemplateError(`Unknown tag '{{${token.value}}}'`, source, token.index);
+        }
+    }
+    
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new TemplateError(`Unclosed {{#${open.type}}} block`, source, open.index);
+    }
+    return root.children;
+}
+
+// Only own properties count, so {{constructor}} or ${toString} never reach Object.prototype
+const hasOwn = (object, key) => object !== null && object !== undefined && Object.prototype.hasOwnProperty.call(object, key);
+
+// Looks the first path segment up from the innermost scope outwards
+function resolvePath(path, scopes) {
+    const [head, ...rest] = path;
+    let value;
+    
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const scope = scopes[i];
+        if (head === 'this') {
+            value = scope.this;
+            break;
+        }
+        if (head.startsWith('@') && head in scope.meta) {
+            value = scope.meta[head];
+            break;
+        }
+        if (typeof scope.this === 'object' && hasOwn(scope.this, head)) {
+            value = scope.this[head];
+            break;
+        }
+    }
+    
+    for (const key of rest) {
+        if (!hasOwn(value, key)) return undefined;
+        value = value[key];
+    }
+    return value;
+}
+
+function renderNodes(nodes, scopes, options, source) {
+    let output = '';
+    
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += node.value;
+        } else if (node.type === 'expr') {
+            let value = resolvePath(node.path, scopes);
+            let raw = !options.escape;
+            
+            for (const { name, args } of node.filters) {
+                if (name === 'raw') {
+                    raw = true;
+                    continue;
+                }
+                const filter = options.filters[name];
+                if (!filter) throw new TemplateError(`Unknown filter '${name}'`, source, node.index);
+                value = filter(value, ...args);
+            }
+            
+            if (value === null || value === undefined) continue;
+            output += raw ? String(value) : escapeHTML(value);
+        } else if (node.type === 'if') {
+            const value = resolvePath(node.path, scopes);
+            const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+            const branch = truthy ? node.thenChildren : (node.elseChildren || []);
+            output += renderNodes(branch, scopes, options, source);
+        } else if (node.type === 'each') {
+            const items = resolvePath(node.path, scopes);
+            if (items === null || items === undefined) continue;
+            if (typeof items[Symbol.iterator] !== 'function') {
+                throw new TemplateError(`'${node.path.join('.')}' is not iterable`, source, node.index);
+            }
+            
+            const list = Array.from(items);
+            list.forEach((item, index) => {
+                const meta = { '@index': index, '@first': index === 0, '@last': index === list.length - 1 };
+                output += renderNodes(node.children, [...scopes, { this: item, meta }], options, source);
+            });
+        }
+    }
+    
+    return output;
+}
+
+// Compiled templates are cached by their source string
+const templateCache = new Map();
+
+function compileTemplate(source) {
+    if (!templateCache.has(source)) {
+        const nodes = parseTemplate(source);
+        templateCache.set(source, (data = {}, { escape = true, filters = {} } = {}) =>
+            renderNodes(nodes, [{ this: data, meta: {} }], {
+                escape,
+                filters: { ...templateFilters, ...filters }
+            }, source)
+        );
+    }
+    return templateCache.get(source);
+}
+
+function renderTemplate(source, data, options) {
+    return compileTemplate(source)(data, options);
+}
+
+// Kept for existing callers: plain-text output, no HTML escaping. Stays as lenient
+// as it always was - only complete ${...} tags are rendered, and anything else
+// (literal {{...}}, an unclosed ${, a tag that doesn't parse) is left as written
 function simpleTemplate(template, data) {
-    return template.replace(/\${(\w+)}/g, (_, key) => data[key] || '');
+    return template.replace(/\$\{[^{}]*\}/g, tag => {
+        try {
+            return renderTemplate(tag, data, { escape: false });
+        } catch (error) {
+            if (error instanceof TemplateError) return tag;
+            throw error;
+        }
+    });
 }
 
+// renderTemplate('<h1>${title | upper}</h1>{{#each items}}<li>${@index}: ${name}</li>{{/each}}', data);
+// renderTemplate('{{#if user}}Hi ${user.name}', {});
+// -> TemplateError: Unclosed {{#if}} block (line 1, column 1)
+
 // 2. String Sanitization
+// There is no single "sanitize" that is safe everywhere - the right escaping
+// depends on where the string ends up. Pick the function for the context:
+//   HTML text content      -> escapeHTML
+//   HTML attribute value   -> escapeAttribute (always inside quotes)
+//   User-supplied markup   -> sanitizeHTML (allowlist)
+//   URLs / file names      -> slugify / safeFilename
+
+// Loose normalizer for search keys and comparisons. NOT a security control:
+// never use it to make input "safe" for HTML.
 function sanitizeString(str) {
     return str
-        .replace(/[^\w\s]/gi, '')    // Remove special characters
-        .trim()                       // Remove extra spaces
-        .toLowerCase();               // Convert to lowercase
+        .normalize('NFC')
+        .replace(/[^\p{L}\p{M}\p{N}\s]/gu, '')  // Remove punctuation/symbols, keep accented letters
+        .trim()                                  // Remove extra spaces
+        .toLowerCase();                          // Convert to lowercase
+}
+
+// 2.1 HTML Entity Escaper (for text between tags)
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// 2.2 Attribute-Safe Escaper
+// Escapes every ASCII character except letters and digits, so the value can't
+// break out of a quoted attribute however it is quoted
+function escapeAttribute(value) {
+    return String(value).replace(/[\x00-\x2F\x3A-\x40\x5B-\x60\x7B-\x7F]/g,
+        char => `&#x${char.charCodeAt(0).toString(16).toUpperCase()};`);
+}
+
+// Decodes the entities an attacker might use to hide "javascript:" (&#106;avascript:)
+function decodeEntities(str) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t', newline: '\n', nbsp: ' ' };
+    return str.replace(/&(#x[\da-f]+|#\d+|[a-z]+);?/gi, (entity, body) => {
+        if (body[0] === '#') {
+            const code = body[1].toLowerCase() === 'x' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+            return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+        }
+        return named[body.toLowerCase()] || entity;
+    });
+}
+
+// Relative URLs are fine; absolute ones must use an allowed scheme
+function isSafeURL(url, allowedSchemes) {
+    const cleaned = decodeEntities(url).replace(/[\x00-\x20\x7F-\x9F]/g, '');
+    const scheme = cleaned.match(/^([a-z][a-z\d+.-]*):/i);
+    return !scheme || allowedSchemes.includes(scheme[1].toLowerCase() + ':');
+}
+
+// 2.3 Allowlist HTML Sanitizer
+// Keeps only allowed tags and attributes, escapes all text, drops <script>/<style>
+// content entirely and closes any tag left open.
+//   sanitizeHTML('<b onclick="x()">Hi</b><script>alert(1)</script>')  // "<b>Hi</b>"
+//   sanitizeHTML('<a href="javascript:alert(1)">x</a>')              // "<a>x</a>"
+//   sanitizeHTML('Tom &amp; Jerry &copy; 2024 &lt;3')                // unchanged (entities aren't escaped twice)
+const DEFAULT_ALLOWED_TAGS = { b: [], i: [], a: ['href'] };
+const DEFAULT_ALLOWED_SCHEMES = ['http:', 'https:', 'mailto:'];
+const DROP_CONTENT_TAGS = ['script', 'style', 'iframe', 'object', 'template', 'noscript', 'textarea', 'title'];
+
+// Text between tags may already contain entities: decode the ones we know and
+// re-escape, and pass well-formed ones we can't decode (&copy;) through unchanged
+function escapeHTMLSegment(text) {
+    return text.split(/(&[a-z][a-z\d]*;)/i).map((part, i) => {
+        if (i % 2 === 0) return escapeHTML(decodeEntities(part));
+        const decoded = decodeEntities(part);
+        return decoded === part ? part : escapeHTML(decoded);
+    }).join('');
+}
+
+function sanitizeHTML(html, {
+    allowedTags = DEFAULT_ALLOWED_TAGS,
+    allowedSchemes = DEFAULT_ALLOWED_SCHEMES,
+    urlAttributes = ['href', 'src']
+} = {}) {
+    const tagPattern = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-z][a-z\d-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/gi;
+    const attrPattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    
+    const open = [];          // Stack of allowed tags currently open
+    let dropUntil = null;     // Inside <script> etc: skip everything until its close tag
+    let output = '';
+    let last = 0;
+    let match;
+    
+    while ((match = tagPattern.exec(html))) {
+        if (!dropUntil) output += escapeHTMLSegment(html.slice(last, match.index));
+        last = tagPattern.lastIndex;
+        
+        const [token, closing, rawName, attributes = ''] = match;
+        if (!rawName) continue;                                   // Comment
+        const name = rawName.toLowerCase();
+        
+        if (dropUntil) {
+            if (closing && name === dropUntil) dropUntil = null;
+            continue;
+        }
+        if (!closing && DROP_CONTENT_TAGS.includes(name) && !token.endsWith('/>')) {
+            dropUntil = name;
+            continue;
+        }
+        if (!Object.prototype.hasOwnProperty.call(allowedTags, name)) continue;
+        
+        if (closing) {
+            const index = open.lastIndexOf(name);
+            if (index === -1) continue;                           // Stray close tag
+            // Close anything opened inside it first, keeping the output well-formed
+            output += open.splice(index).reverse().map(tag => `</${tag}>`).join('');
+            continue;
+        }
+        
+        let kept = '';
+        for (const [, attrName, double, single, bare] of attributes.matchAll(attrPattern)) {
+            const attr = attrName.toLowerCase();
+            const value = [double, single, bare].find(part => part !== undefined) || '';
+            if (!allowedTags[name].includes(attr)) continue;
+            if (urlAttributes.includes(attr) && !isSafeURL(value, allowedSchemes)) continue;
+            kept += ` ${attr}="${escapeAttribute(decodeEntities(value))}"`;
+        }
+        
+        output += `<${name}${kept}>`;
+        open.push(name);
+    }
+    
+    if (!dropUntil) output += escapeHTMLSegment(html.slice(last));
+    return output + open.reverse().map(tag => `</${tag}>`).join('');
+}
+
+// 2.4 Slugify
+// slugify('Crème Brûlée & Straße!')  // "creme-brulee-strasse"
+const TRANSLITERATIONS = {
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd', 'þ': 'th',
+    'ł': 'l', 'ı': 'i', 'ħ': 'h', 'ŧ': 't', 'ŋ': 'ng', '&': ' and '
+};
+
+function slugify(str, { separator = '-', lowercase = true, maxLength = 80 } = {}) {
+    let slug = str
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')                                   // Drop accents: é -> e
+        .replace(/[ßæœøđðþłıħŧŋ&]/gi, char => {
+            const mapped = TRANSLITERATIONS[char.toLowerCase()];
+            return char === char.toLowerCase() ? mapped : mapped.toUpperCase();
+        });
+    
+    if (lowercase) slug = slug.toLowerCase();
+    
+    slug = slug
+        .replace(/[^a-zA-Z0-9]+/g, separator)
+        .replace(new RegExp(`^${escapeForRegex(separator)}+|${escapeForRegex(separator)}+$`, 'g'), '');
+    
+    // Cut at a separator rather than mid-word when possible
+    if (slug.length > maxLength) {
+        const cut = slug.slice(0, maxLength);
+        const boundary = cut.lastIndexOf(separator);
+        slug = boundary > 0 ? cut.slice(0, boundary) : cut;
+    }
+    return slug;
+}
+
+// 2.5 Filename-Safe Normalizer
+// Keeps Unicode letters, removes what Windows/macOS/Linux reject or treat specially
+//   safeFilename('../../etc/passwd')   // "etc_passwd"
+//   safeFilename('CON.txt')            // "_CON.txt"
+const RESERVED_FILENAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+function safeFilename(name, { replacement = '_', maxLength = 255, fallback = 'untitled' } = {}) {
+    const sep = escapeForRegex(replacement);
+    let result = String(name)
+        .normalize('NFC')
+        .split(/[/\\]+/)
+        .filter(segment => !/^[\s.]*$/.test(segment))             // Drop "", "." and ".." path segments
+        .join(replacement)
+        .replace(/[\x00-\x1F\x7F<>:"|?*]+/g, replacement)          // Reserved and control characters
+        .replace(/^[\s.]+|[\s.]+$/g, '')                          // No leading dots (hidden files) or trailing dots/spaces
+        .replace(new RegExp(`(?:${sep}){2,}`, 'g'), replacement)
+        .replace(new RegExp(`^${sep}+|${sep}+$`, 'g'), '');
+    
+    if (result === '') return fallback;
+    if (RESERVED_FILENAMES.test(result)) result = replacement + result;
+    
+    // Truncate by code points but keep the extension
+    const chars = Array.from(result);
+    if (chars.length > maxLength) {
+        const dot = result.lastIndexOf('.');
+        const extension = dot > 0 && result.length - dot <= 10 ? Array.from(result.slice(dot)) : [];
+        result = chars.slice(0, maxLength - extension.length).join('') + extension.join('');
+    }
+    return result;
 }
 
 // 3. String Search with Context
@@ -251,4 +1542,157 @@ function findWithContext(text, search, contextLength = 20) {
     const end = Math.min(text.length, index + search.length + contextLength);
     
     return text.slice(start, end);
+}
+
+// 3.1 Search API: every match, fuzzy matching, ranking and highlighting
+// findWithContext stops at the first exact hit; searchText finds typo'd ones too:
+//   searchText(notes, 'recieve', { fuzzy: true })       // finds "receive"
+//   searchText(notes, 'promise', { highlight: 'html' })  // snippets with <mark>
+
+// Edit distance with an early exit once every cell in a row exceeds maxEdits.
+// transpositions: false = Levenshtein, true = Damerau (optimal string alignment)
+function editDistance(a, b, { maxEdits = Infinity, transpositions = false } = {}) {
+    a = Array.from(a);
+    b = Array.from(b);
+    if (Math.abs(a.length - b.length) > maxEdits) return Infinity;
+    
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        let rowMin = i;
+        
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+            
+            if (transpositions && i > 1 && j > 1 &&
+                a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                cur[j] = Math.min(cur[j], prevPrev[j - 2] + 1);   // "ab" <-> "ba"
+            }
+            rowMin = Math.min(rowMin, cur[j]);
+        }
+        
+        if (rowMin > maxEdits) return Infinity;
+        prevPrev = prev;
+        prev = cur;
+    }
+    
+    return prev[b.length] <= maxEdits ? prev[b.length] : Infinity;
+}
+
+// Words with their offsets: [{ word, start, end }]
+function tokenizeWords(text) {
+    return Array.from(text.matchAll(/[\p{L}\p{M}\p{N}_'’]+/gu), match => ({
+        word: match[0],
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+}
+
+function searchText(text, query, {
+    fuzzy = false,
+    maxEdits = null,                         // Default: 1 for words up to 4 letters, else 2
+    algorithm = 'damerau',                   // 'levenshtein' | 'damerau'
+    ignoreCase = true,
+    contextLength = 20,
+    highlight = null,                        // null | 'markers' | 'html'
+    markers = ['[', ']'],
+    limit = Infinity
+} = {}) {
+    if (!query) return [];
+    if (maxEdits === null) maxEdits = query.length <= 4 ? 1 : 2;   // Short words tolerate fewer typos
+    const fold = str => ignoreCase ? str.toLowerCase() : str;
+    const needle = fold(query);
+    const matches = [];
+    
+    // Exact matches (all of them, not just the first). A case-insensitive RegExp
+    // matches on the original text, so offsets stay valid even where toLowerCase()
+    // would change the length ('İ' becomes 2 code units)
+    const pattern = new RegExp(escapeForRegex(query), ignoreCase ? 'giu' : 'gu');
+    for (const { index, 0: found } of text.matchAll(pattern)) {
+        matches.push({ start: index, end: index + found.length, distance: 0 });
+    }
+    
+    // Fuzzy matches compare whole words (or runs of words for multi-word queries)
+    if (fuzzy) {
+        const words = tokenizeWords(text);
+        const span = Math.max(1, tokenizeWords(query).length);
+        const options = { maxEdits, transpositions: algorithm === 'damerau' };
+        
+        for (let i = 0; i + span <= words.length; i++) {
+            const start = words[i].start;
+            const end = words[i + span - 1].end;
+            if (matches.some(match => match.start < end && start < match.end)) continue;
+            
+            const candidate = fold(words.slice(i, i + span).map(({ word }) => word).join(' '));
+            const distance = editDistance(candidate, needle, options);
+            if (distance !== Infinity) matches.push({ start, end, distance });
+        }
+    }
+    
+    // Rank: fewest edits first, then earliest in the text
+    matches.sort((a, b) => a.distance - b.distance || a.start - b.start);
+    
+    return matches.slice(0, limit).map(({ start, end, distance }) => {
+        const context = snapContext(text, start, end, contextLength);
+        const result = {
+            match: text.slice(start, end),
+            start,
+            end,
+            distance,
+            exact: distance === 0,
+            context
+        };
+        if (highlight) {
+            result.snippet = highlightSnippet(text, context, start, end, { mode: highlight, markers });
+        }
+        return result;
+    });
+}
+
+// Widens the match by contextLength on each side, then pulls each edge in
+// to the nearest word boundary so no word is cut in half
+function snapContext(text, start, end, contextLength) {
+    let from = Math.max(0, start - contextLength);
+    let to = Math.min(text.length, end + contextLength);
+    
+    const isWordChar = char => char !== undefined && /[\p{L}\p{M}\p{N}_]/u.test(char);
+    
+    if (from > 0 && isWordChar(text[from - 1])) {
+        while (from < start && isWordChar(text[from])) from++;
+    }
+    if (to < text.length && isWordChar(text[to])) {
+        while (to > end && isWordChar(text[to - 1])) to--;
+    }
+    while (from < start && /\s/.test(text[from])) from++;
+    while (to > end && /\s/.test(text[to - 1])) to--;
+    
+    return {
+        start: from,
+        end: to,
+        text: text.slice(from, to),
+        truncatedStart: from > 0,
+        truncatedEnd: to < text.length
+    };
+}
+
+// 'markers' -> "...the [recieve] button..."   'html' -> "…the <mark>recieve</mark> button…"
+function highlightSnippet(text, context, start, end, { mode = 'markers', markers = ['[', ']'] } = {}) {
+    const before = text.slice(context.start, start);
+    const match = text.slice(start, end);
+    const after = text.slice(end, context.end);
+    
+    if (mode === 'html') {
+        const ellipsis = '…';
+        return (context.truncatedStart ? ellipsis : '') +
+            escapeHTML(before) + '<mark>' + escapeHTML(match) + '</mark>' + escapeHTML(after) +
+            (context.truncatedEnd ? ellipsis : '');
+    }
+    
+    const [open, close] = markers;
+    return (context.truncatedStart ? '...' : '') +
+        before + open + match + close + after +
+        (context.truncatedEnd ? '...' : '');
 } 
\ No newline at end of file
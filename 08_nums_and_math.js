@@ -72,7 +72,7 @@ console.log(Math.tan(Math.PI / 4));  // 1
 // Floating-Point Precision Problem
 console.log(0.1 + 0.2 === 0.3);  // false (due to binary floating-point errors)
 
-// Solution using Number.EPSILON
+// Solution using Number.EPSILON (absolute tolerance - see approxEqual and Decimal below)
 function isEqual(a, b) {
     return Math.abs(a - b) < Number.EPSILON;
 }
@@ -82,15 +82,209 @@ console.log(isEqual(0.1 + 0.2, 0.3)); // true
 let bigIntNum = 1234567890123456789012345678901234567890n; // BigInt literal
 console.log(bigIntNum * 2n);   // Works with BigInt only
 
+// ************ SEEDABLE RANDOM NUMBERS ************
+
+// Math.random can't be seeded, so a failing test that used it can't be replayed.
+// SeededRandom implements xoshiro128** (fast, 128-bit state, passes BigCrush):
+// the same seed always produces the same sequence, on every engine.
+
+const rotl32 = (x, k) => (x << k) | (x >>> (32 - k));
+
+// Numbers and strings both become a 32-bit seed ('test-42' is as good as 42)
+function seedToUint32(seed) {
+    if (typeof seed === 'string') {
+        let hash = 0x811c9dc5;   // FNV-1a
+        for (let i = 0; i < seed.length; i++) {
+            hash = Math.imul(hash ^ seed.charCodeAt(i), 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    const high = Math.floor(seed / 2 ** 32);   // Keeps the upper bits of Date.now()-sized seeds
+    return (seed ^ Math.imul(high, 0x9e3779b9)) >>> 0;
+}
+
+// splitmix32 spreads one seed over the four state words
+function splitmix32(seed) {
+    let a = seed;
+    return () => {
+        a = (a + 0x9e3779b9) | 0;
+        let z = a;
+        z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+        z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+        return (z ^ (z >>> 16)) >>> 0;
+    };
+}
+
+function randomSeed() {
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Date.now();
+}
+
+class SeededRandom {
+    constructor(seed = randomSeed()) {
+        this.seed = seed;   // Log it when a test fails, then replay with new SeededRandom(seed)
+        const next = splitmix32(seedToUint32(seed));
+        this.setState([next(), next(), next(), next()]);
+    }
+    
+    setState(words) {
+        this.state = Uint32Array.from(words);
+        if (this.state.every(word => word === 0)) this.state[0] = 1;   // All zeros would stay zero forever
+        this.spareGaussian = null;
+    }
+    
+    // Raw 32-bit output, 0 to 2^32 - 1
+    nextUint32() {
+        const s = this.state;
+        const result = Math.imul(rotl32(Math.imul(s[1], 5), 7), 9) >>> 0;
+        const t = s[1] << 9;
+        
+        s[2] ^= s[0];
+        s[3] ^= s[1];
+        s[1] ^= s[2];
+        s[0] ^= s[3];
+        s[2] ^= t;
+        s[3] = rotl32(s[3], 11);
+        return result;
+    }
+    
+    // [min, max) with all 53 bits of a double filled (one 32-bit draw would leave gaps)
+    float(min = 0, max = 1) {
+        const high = this.nextUint32() >>> 5;   // 27 bits
+        const low = this.nextUint32() >>> 6;    // 26 bits
+        return min + ((high * 2 ** 26 + low) / 2 ** 53) * (max - min);
+    }
+    
+    // Integer in [min, max], both inclusive. `draw % range` alone would favour
+    // small values whenever range doesn't divide 2^32, so draws from the
+    // incomplete last block are thrown away and redrawn.
+    int(min, max) {
+        if (!Number.isSafeInteger(min) || !Number.isSafeInteger(max) || max < min) {
+            throw new RangeError(`Invalid integer range [${min}, ${max}]`);
+        }
+        
+        const range = max - min + 1;
+        const [bits, draw] = range <= 2 ** 32
+            ? [2 ** 32, () => this.nextUint32()]
+            : [2 ** 53, () => (this.nextUint32() >>> 11) * 2 ** 32 + this.nextUint32()];
+        if (range > bits) throw new RangeError('Range is larger than 2^53');
+        
+        const limit = bits - (bits % range);
+        let value;
+        do {
+            value = draw();
+        } while (value >= limit);
+        return min + (value % range);
+    }
+    
+    bool(probability = 0.5) {
+        return this.float() < probability;
+    }
+    
+    pick(array) {
+        if (array.length === 0) throw new RangeError('Cannot pick from an empty array');
+        return array[this.int(0, array.length - 1)];
+    }
+    
+    // Fisher-Yates, in place (like sort); copy first if the original matters
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.int(0, i);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+    
+    // k distinct elements: only the first k steps of Fisher-Yates, on a copy
+    sample(array, k) {
+        if (!Number.isInteger(k) || k < 0 || k > array.length) {
+            throw new RangeError(`Cannot sample ${k} of ${array.length} elements`);
+        }
+        const copy = array.slice();
+        for (let i = 0; i < k; i++) {
+            const j = this.int(i, copy.length - 1);
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy.slice(0, k);
+    }
+    
+    // weighted(['a', 'b', 'c'], [1, 1, 8]) returns 'c' about 80% of the time
+    weighted(items, weights) {
+        if (items.length === 0 || items.length !== weights.length) {
+            throw new RangeError('weighted() needs one weight per item');
+        }
+        
+        const cumulative = [];
+        let total = 0;
+        for (const weight of weights) {
+            if (!(weight >= 0) || !Number.isFinite(weight)) throw new RangeError(`Invalid weight ${weight}`);
+            total += weight;
+            cumulative.push(total);
+        }
+        if (total === 0) throw new RangeError('At least one weight must be positive');
+        
+        // Binary search for the first cumulative weight above the target
+        const target = this.float() * total;
+        let low = 0;
+        let high = cumulative.length - 1;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (cumulative[mid] > target) high = mid;
+            else low = mid + 1;
+        }
+        return items[low];
+    }
+    
+    // Normal distribution (Box-Muller); each pair of uniforms yields two values, the second is kept
+    gaussian(mean = 0, stdDev = 1) {
+        if (this.spareGaussian !== null) {
+            const spare = this.spareGaussian;
+            this.spareGaussian = null;
+            return mean + stdDev * spare;
+        }
+        
+        const u = 1 - this.float();   // (0, 1], so log(u) is finite
+        const v = this.float();
+        const radius = Math.sqrt(-2 * Math.log(u));
+        this.spareGaussian = radius * Math.sin(2 * Math.PI * v);
+        return mean + stdDev * radius * Math.cos(2 * Math.PI * v);
+    }
+    
+    // Sub-stream for a worker or test file: four of this generator's outputs,
+    // scrambled by splitmix32, become the child's whole 128-bit state. Children
+    // (and their children, to any depth) land at unrelated points of the 2^128
+    // period, so overlapping streams are astronomically unlikely - not impossible.
+    fork() {
+        const child = Object.create(SeededRandom.prototype);
+        child.seed = this.seed;
+        child.setState(Array.from({ length: 4 }, () => splitmix32(this.nextUint32())()));
+        return child;
+    }
+}
+
+const seeded = new SeededRandom(42);
+console.log(seeded.int(1, 6), seeded.int(1, 6));       // Same two dice rolls on every run
+console.log(seeded.shuffle([1, 2, 3, 4, 5]));          // Same order on every run
+console.log(seeded.weighted(['common', 'rare'], [9, 1]));
+const workerRandom = seeded.fork();                     // Own stream, e.g. one per worker or test file
+console.log(workerRandom.float());
+
+// Shared generator for code that doesn't care about the seed
+const defaultRandom = new SeededRandom();
+
 // ************ PRACTICAL EXAMPLES ************
 
 // 1. Generate Random Integer Between Min and Max
-function getRandomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+// Pass a SeededRandom to make the result reproducible
+function getRandomInt(min, max, random = defaultRandom) {
+    return random.int(min, max);
 }
 console.log(getRandomInt(1, 100));
+console.log(getRandomInt(1, 100, new SeededRandom('demo')));  // Always the same number
 
-// 2. Factorial Calculation (Recursion)
+// 2. Factorial Calculation (Recursion) - Infinity past 170!, see factorialBig
 function factorial(n) {
     if (n === 0 || n === 1) return 1;
     return n * factorial(n - 1);
@@ -107,7 +301,7 @@ function isPrime(num) {
 }
 console.log(isPrime(17));  // true
 
-// 4. Fibonacci Series
+// 4. Fibonacci Series - loses precision past fibonacci(78), see fibonacciBig
 function fibonacci(n) {
     let a = 0, b = 1;
     for (let i = 2; i <= n; i++) {
@@ -120,7 +314,7 @@ console.log(fibonacci(10));  // 55
 // ************ BEST PRACTICES ************
 
 /*
-1. Use Number.EPSILON for floating-point comparisons.
+1. Compare floats with a tolerance (approxEqual); use Decimal for money.
 2. Use BigInt for handling very large integers beyond Number.MAX_SAFE_INTEGER.
 3. Avoid parseInt without radix to prevent unexpected behavior.
 4. Prefer Math.trunc() over bitwise OR (| 0) for clarity.
@@ -147,4 +341,455 @@ function isPowerOfTwo(n) {
 }
 console.log(isPowerOfTwo(16));  // true
 
+// ************ EXACT DECIMAL ARITHMETIC ************
+
+// isEqual above only works near 1: Number.EPSILON is ~2.2e-16, but neighbouring
+// doubles around 1e6 are ~1.2e-10 apart, so isEqual(1e6 + 0.1 + 0.2, 1e6 + 0.3) is false.
+// approxEqual scales the tolerance with the size of the numbers (like Python's math.isclose).
+function approxEqual(a, b, { relTol = 1e-9, absTol = 0 } = {}) {
+    if (a === b) return true;   // Also covers Infinity === Infinity
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return false;
+    return Math.abs(a - b) <= Math.max(relTol * Math.max(Math.abs(a), Math.abs(b)), absTol);
+}
+console.log(isEqual(1e6 + 0.1 + 0.2, 1e6 + 0.3));     // false
+console.log(approxEqual(1e6 + 0.1 + 0.2, 1e6 + 0.3)); // true
+
+// For money, "close enough" isn't good enough: store the value as an integer
+// number of 10^-scale units (BigInt), so 0.1 is exactly 1n with scale 1.
+const ROUNDING_MODES = ['half-up', 'half-even', 'floor', 'ceil'];
+
+function assertRoundingMode(rounding) {
+    if (!ROUNDING_MODES.includes(rounding)) {
+        throw new RangeError(`Unknown rounding mode "${rounding}" (use ${ROUNDING_MODES.join(', ')})`);
+    }
+}
+
+// numerator / denominator rounded to an integer; denominator must be positive
+function divideRounded(numerator, denominator, rounding) {
+    assertRoundingMode(rounding);
+    
+    const quotient = numerator / denominator;   // BigInt division truncates toward zero
+    const remainder = numerator % denominator;
+    if (remainder === 0n) return quotient;
+    
+    const sign = numerator < 0n ? -1n : 1n;
+    const twiceRemainder = 2n * (remainder < 0n ? -remainder : remainder);
+    
+    switch (rounding) {
+        case 'floor':
+            return sign < 0n ? quotient - 1n : quotient;
+        case 'ceil':
+            return sign > 0n ? quotient + 1n : quotient;
+        case 'half-up':   // Ties go away from zero: 2.5 -> 3, -2.5 -> -3
+            return twiceRemainder >= denominator ? quotient + sign : quotient;
+        case 'half-even': // Banker's rounding: 2.5 -> 2, 3.5 -> 4
+            if (twiceRemainder === denominator) return quotient % 2n === 0n ? quotient : quotient + sign;
+            return twiceRemainder > denominator ? quotient + sign : quotient;
+    }
+}
+
+class Decimal {
+    // value: '12.34', '-1e-3', 42, 42n or another Decimal
+    constructor(value) {
+        if (value instanceof Decimal) {
+            [this.units, this.scale] = [value.units, value.scale];
+            return;
+        }
+        if (typeof value === 'bigint') {
+            [this.units, this.scale] = [value, 0];
+            return;
+        }
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            throw new RangeError(`Cannot represent ${value} as a Decimal`);
+        }
+        
+        // Numbers go through their shortest string form, so 0.1 becomes exactly "0.1"
+        const text = String(value).trim();
+        const match = text.match(/^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+        if (!match || !(match[2] || match[3])) {
+            throw new SyntaxError(`Invalid decimal: "${value}"`);
+        }
+        
+        const [, sign, whole = '', fraction = '', exponent = '0'] = match;
+        let units = BigInt(whole + fraction || '0');
+        let scale = fraction.length - Number(exponent);
+        if (scale < 0) {
+            units *= 10n ** BigInt(-scale);
+            scale = 0;
+        }
+        
+        this.units = sign === '-' ? -units : units;
+        this.scale = scale;
+    }
+    
+    static parse(value) {
+        return new Decimal(value);
+    }
+    
+    // Same value with more decimal places (never loses digits)
+    static align(a, b) {
+        const scale = Math.max(a.scale, b.scale);
+        return [
+            a.units * 10n ** BigInt(scale - a.scale),
+            b.units * 10n ** BigInt(scale - b.scale),
+            scale
+        ];
+    }
+    
+    static fromUnits(units, scale) {
+        const result = Object.create(Decimal.prototype);
+        result.units = units;
+        result.scale = scale;
+        return result;
+    }
+    
+    add(other) {
+        const [a, b, scale] = Decimal.align(this, new Decimal(other));
+        return Decimal.fromUnits(a + b, scale);
+    }
+    
+    sub(other) {
+        const [a, b, scale] = Decimal.align(this, new Decimal(other));
+        return Decimal.fromUnits(a - b, scale);
+    }
+    
+    // Exact: the scales add up (1.25 * 0.5 = 0.625)
+    mul(other) {
+        other = new Decimal(other);
+        return Decimal.fromUnits(this.units * other.units, this.scale + other.scale);
+    }
+    
+    // Division is rarely exact (1 / 3), so the result is rounded to `scale` places
+    div(other, { scale = 20, rounding = 'half-even' } = {}) {
+        other = new Decimal(other);
+        if (other.units === 0n) throw new RangeError('Division by zero');
+        
+        // this / other = (a / 10^sa) / (b / 10^sb); shift so the quotient has `scale` places
+        const shift = scale + other.scale - this.scale;
+        let numerator = this.units * (shift > 0 ? 10n ** BigInt(shift) : 1n);
+        let denominator = other.units * (shift < 0 ? 10n ** BigInt(-shift) : 1n);
+        if (denominator < 0n) [numerator, denominator] = [-numerator, -denominator];
+        
+        return Decimal.fromUnits(divideRounded(numerator, denominator, rounding), scale);
+    }
+    
+    round(scale = 0, rounding = 'half-up') {
+        assertRoundingMode(rounding);
+        if (scale >= this.scale) {
+            return Decimal.fromUnits(this.units * 10n ** BigInt(scale - this.scale), scale);
+        }
+        return Decimal.fromUnits(divideRounded(this.units, 10n ** BigInt(this.scale - scale), rounding), scale);
+    }
+    
+    neg() {
+        return Decimal.fromUnits(-this.units, this.scale);
+    }
+    
+    abs() {
+        return this.units < 0n ? this.neg() : this;
+    }
+    
+    isZero() {
+        return this.units === 0n;
+    }
+    
+    isNegative() {
+        return this.units < 0n;
+    }
+    
+    // -1, 0 or 1 (usable directly as a sort comparator)
+    compare(other) {
+        const [a, b] = Decimal.align(this, new Decimal(other));
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+    
+    equals(other) {
+        return this.compare(other) === 0;
+    }
+    
+    lt(other) {
+        return this.compare(other) < 0;
+    }
+    
+    lte(other) {
+        return this.compare(other) <= 0;
+    }
+    
+    gt(other) {
+        return this.compare(other) > 0;
+    }
+    
+    gte(other) {
+        return this.compare(other) >= 0;
+    }
+    
+    // Keeps trailing zeros, so 1.10 stays "1.10" (useful for prices)
+    toString() {
+        const digits = (this.units < 0n ? -this.units : this.units).toString().padStart(this.scale + 1, '0');
+        const whole = digits.slice(0, digits.length - this.scale);
+        const fraction = digits.slice(digits.length - this.scale);
+        return (this.units < 0n ? '-' : '') + whole + (this.scale > 0 ? '.' + fraction : '');
+    }
+    
+    toFixed(places, rounding = 'half-up') {
+        return this.round(places, rounding).toString();
+    }
+    
+    toNumber() {
+        return Number(this.toString());
+    }
+    
+    toJSON() {
+        return this.toString();
+    }
+}
+
+console.log(new Decimal('0.1').add('0.2').equals('0.3'));         // true
+console.log(new Decimal('19.99').mul(3).toString());              // "59.97"
+console.log(new Decimal('10').div(3, { scale: 4 }).toString());   // "3.3333"
+console.log(new Decimal('2.345').toFixed(2, 'half-even'));        // "2.34"
+console.log(new Decimal('-2.345').toFixed(2, 'floor'));           // "-2.35"
+console.log(['1.5', '-2', '1.25'].map(Decimal.parse).sort((a, b) => a.compare(b)).join(', ')); // "-2, 1.25, 1.5"
+
+// ************ BIGINT NUMBER THEORY ************
+
+// The Number versions above break down quickly: factorial(171) is Infinity and
+// fibonacci(79) is already off by one. Everything below accepts Numbers or
+// BigInts and returns BigInts (segmentedSieve returns Numbers).
+
+function toBigInt(value) {
+    if (typeof value === 'bigint') return value;
+    if (Number.isSafeInteger(value)) return BigInt(value);
+    throw new RangeError(`Expected an integer (use a BigInt literal above 2^53), got ${value}`);
+}
+
+const absBig = n => (n < 0n ? -n : n);
+const modulo = (a, m) => ((a % m) + m) % m;   // Always in [0, m), unlike %
+
+function gcdBig(a, b) {
+    a = absBig(toBigInt(a));
+    b = absBig(toBigInt(b));
+    while (b !== 0n) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+function lcm(a, b) {
+    a = toBigInt(a);
+    b = toBigInt(b);
+    if (a === 0n || b === 0n) return 0n;
+    return absBig(a / gcdBig(a, b) * b);
+}
+
+// Finds x, y with a*x + b*y = gcd(a, b) (Bezout coefficients)
+function extendedGcd(a, b) {
+    let [oldR, r] = [toBigInt(a), toBigInt(b)];
+    let [oldX, x] = [1n, 0n];
+    let [oldY, y] = [0n, 1n];
+    
+    while (r !== 0n) {
+        const q = oldR / r;
+        [oldR, r] = [r, oldR - q * r];
+        [oldX, x] = [x, oldX - q * x];
+        [oldY, y] = [y, oldY - q * y];
+    }
+    
+    if (oldR < 0n) [oldR, oldX, oldY] = [-oldR, -oldX, -oldY];
+    return { gcd: oldR, x: oldX, y: oldY };
+}
+
+// base^exponent mod modulus by repeated squaring (never builds the huge power)
+function modPow(base, exponent, modulus) {
+    base = toBigInt(base);
+    exponent = toBigInt(exponent);
+    modulus = toBigInt(modulus);
+    if (modulus <= 0n) throw new RangeError('Modulus must be positive');
+    if (exponent < 0n) return modPow(modInverse(base, modulus), -exponent, modulus);
+    
+    let result = 1n % modulus;
+    base = modulo(base, modulus);
+    while (exponent > 0n) {
+        if (exponent & 1n) result = result * base % modulus;
+        base = base * base % modulus;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+// x such that a*x = 1 (mod m); only exists when gcd(a, m) = 1
+function modInverse(a, m) {
+    a = toBigInt(a);
+    m = toBigInt(m);
+    const { gcd, x } = extendedGcd(modulo(a, m), m);
+    if (gcd !== 1n) throw new RangeError(`${a} has no inverse modulo ${m} (gcd is ${gcd})`);
+    return modulo(x, m);
+}
+
+// These witnesses make Miller-Rabin exact for every n below 3.3 * 10^24,
+// which covers all 64-bit integers. Larger n: a "true" is probable, not proven.
+const MILLER_RABIN_BASES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n];
+
+function isPrimeBig(n) {
+    n = toBigInt(n);
+    if (n < 2n) return false;
+    for (const p of MILLER_RABIN_BASES) {
+        if (n === p) return true;
+        if (n % p === 0n) return false;
+    }
+    
+    // n - 1 = d * 2^s with d odd
+    let d = n - 1n;
+    let s = 0;
+    while (d % 2n === 0n) {
+        d /= 2n;
+        s++;
+    }
+    
+    witnessLoop: for (const a of MILLER_RABIN_BASES) {
+        let x = modPow(a, d, n);
+        if (x === 1n || x === n - 1n) continue;
+        for (let r = 1; r < s; r++) {
+            x = x * x % n;
+            if (x === n - 1n) continue witnessLoop;
+        }
+        return false;   // a proves n is composite
+    }
+    return true;
+}
+
+// Plain sieve of Eratosthenes, used for the base primes of the segmented sieve
+function simpleSieve(limit) {
+    const composite = new Uint8Array(limit + 1);
+    const primes = [];
+    for (let i = 2; i <= limit; i++) {
+        if (composite[i]) continue;
+        primes.push(i);
+        for (let j = i * i; j <= limit; j += i) composite[j] = 1;
+    }
+    return primes;
+}
+
+// Primes in [low, high] using O(sqrt(high) + segmentSize) memory instead of O(high)
+function segmentedSieve(low, high, segmentSize = 1 << 16) {
+    low = Math.max(2, low);
+    if (high < low) return [];
+    if (!Number.isSafeInteger(high)) throw new RangeError('high must be a safe integer');
+    
+    const basePrimes = simpleSieve(Math.floor(Math.sqrt(high)));
+    const primes = [];
+    
+    for (let start = low; start <= high; start += segmentSize) {
+        const end = Math.min(start + segmentSize - 1, high);
+        const composite = new Uint8Array(end - start + 1);
+        
+        for (const p of basePrimes) {
+            if (p * p > end) break;
+            // First multiple of p in the segment, but never p itself
+            const first = Math.max(p * p, Math.ceil(start / p) * p);
+            for (let j = first; j <= end; j += p) composite[j - start] = 1;
+        }
+        
+        for (let i = 0; i < composite.length; i++) {
+            if (!composite[i]) primes.push(start + i);
+        }
+    }
+    return primes;
+}
+
+// Pollard's rho (Brent's variant): finds some non-trivial factor of a composite n
+function pollardRho(n) {
+    if (n % 2n === 0n) return 2n;
+    const batch = 128;   // gcd once per batch of steps instead of every step
+    
+    for (let c = 1n; ; c++) {
+        const f = x => (x * x + c) % n;
+        let [x, y, saved, factor, product] = [2n, 2n, 2n, 1n, 1n];
+        
+        for (let length = 1; factor === 1n; length *= 2) {
+            x = y;
+            for (let i = 0; i < length; i++) y = f(y);
+            for (let done = 0; done < length && factor === 1n; done += batch) {
+                saved = y;
+                for (let i = 0; i < Math.min(batch, length - done); i++) {
+                    y = f(y);
+                    product = product * absBig(x - y) % n;
+                }
+                factor = gcdBig(product, n);
+            }
+        }
+        
+        if (factor === n) {
+            // The batch overshot: replay it one step at a time
+            do {
+                saved = f(saved);
+                factor = gcdBig(absBig(x - saved), n);
+            } while (factor === 1n);
+        }
+        if (factor !== n) return factor;   // Otherwise retry with another c
+    }
+}
+
+// Prime factors with repetition, smallest first: 360 -> [2n, 2n, 2n, 3n, 3n, 5n]
+function primeFactors(n) {
+    n = absBig(toBigInt(n));
+    const factors = [];
+    if (n < 2n) return factors;
+    
+    // Small factors are cheaper to strip by trial division
+    for (let p = 2n; p < 1000n && p * p <= n; p += p === 2n ? 1n : 2n) {
+        while (n % p === 0n) {
+            factors.push(p);
+            n /= p;
+        }
+    }
+    
+    const split = m => {
+        if (m === 1n) return;
+        if (isPrimeBig(m)) {
+            factors.push(m);
+            return;
+        }
+        const d = pollardRho(m);
+        split(d);
+        split(m / d);
+    };
+    split(n);
+    
+    return factors.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+function factorialBig(n) {
+    n = toBigInt(n);
+    if (n < 0n) throw new RangeError('Factorial is not defined for negative numbers');
+    let result = 1n;
+    for (let i = 2n; i <= n; i++) result *= i;
+    return result;
+}
+
+// Fast doubling: F(2k) = F(k) * (2F(k+1) - F(k)), F(2k+1) = F(k)^2 + F(k+1)^2
+// O(log n) steps, one per bit of n
+function fibonacciBig(n) {
+    n = toBigInt(n);
+    if (n < 0n) throw new RangeError('Fibonacci index must be non-negative');
+    
+    let [a, b] = [0n, 1n];   // F(k), F(k + 1)
+    for (const bit of n.toString(2)) {
+        const even = a * (2n * b - a);   // F(2k)
+        const odd = a * a + b * b;       // F(2k + 1)
+        [a, b] = bit === '1' ? [odd, even + odd] : [even, odd];
+    }
+    return a;
+}
+
+console.log(lcm(4, 6));                             // 12n
+console.log(extendedGcd(240, 46));                  // { gcd: 2n, x: -9n, y: 47n }
+console.log(modPow(2, 100, 1000000007));         // 976371285n
+console.log(modInverse(3, 11));                     // 4n (3 * 4 = 12 = 1 mod 11)
+console.log(isPrimeBig(18446744073709551557n));     // true (largest 64-bit prime)
+console.log(segmentedSieve(1000000000, 1000000100)); // [1000000007, 1000000009, ...]
+console.log(primeFactors(600851475143n));           // [71n, 839n, 1471n, 6857n]
+console.log(factorialBig(25));                      // 15511210043330985984000000n
+console.log(fibonacciBig(100));                     // 354224848179261915075n
+
 // ******************** END OF GUIDE ********************
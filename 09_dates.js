@@ -78,38 +78,27 @@ formatter.format(now);       // Formatted date in specified timezone
 // ************ ADVANCED DATE CONCEPTS ************
 
 // Calculating Age
-function calculateAge(birthDate) {
-    let today = new Date();
-    let age = today.getFullYear() - birthDate.getFullYear();
-    let m = today.getMonth() - birthDate.getMonth();
-    if (m < 0 || (m === 0 && today.getDate() < birthDate.getDate())) {
-        age--;
-    }
-    return age;
+// Whole years only; dateDiff below gives the full breakdown and explains the Feb 29 rule
+function calculateAge(birthDate, { today = new Date(), timeZone, leapDay } = {}) {
+    return dateDiff(birthDate, today, { timeZone, leapDay }).years;
 }
 
-// Days Between Dates
+// Days Between Dates (elapsed 24h periods - see differenceInCalendarDays for calendar days)
 function daysBetween(date1, date2) {
     const msPerDay = 24 * 60 * 60 * 1000;
     return Math.floor((date2 - date1) / msPerDay);
 }
 
 // Countdown Timer
+// Built on the Countdown class below; returns it so the caller can stop()
+// the interval instead of leaking it
 function countdown(targetDate) {
-    let interval = setInterval(() => {
-        let now = new Date();
-        let diff = targetDate - now;
-        if (diff <= 0) {
-            clearInterval(interval);
-            console.log("Countdown Complete!");
-            return;
-        }
-        let days = Math.floor(diff / (1000 * 60 * 60 * 24));
-        let hours = Math.floor((diff / (1000 * 60 * 60)) % 24);
-        let minutes = Math.floor((diff / (1000 * 60)) % 60);
-        let seconds = Math.floor((diff / 1000) % 60);
-        console.log(`${days}d ${hours}h ${minutes}m ${seconds}s`);
-    }, 1000);
+    return new Countdown(targetDate)
+        .on('tick', ({ days, hours, minutes, seconds }) => {
+            console.log(`${days}d ${hours}h ${minutes}m ${seconds}s`);
+        })
+        .on('complete', () => console.log("Countdown Complete!"))
+        .start();
 }
 
 // ************ BEST PRACTICES ************
@@ -136,7 +125,7 @@ function countdown(targetDate) {
 
 // ************ PRACTICAL EXAMPLES ************
 
-// 1. Get the start and end of the week
+// 1. Get the start and end of the week (local time - see startOf/endOf for timezones)
 function getWeekRange(date) {
     let day = date.getDay();
     let start = new Date(date);
@@ -151,7 +140,7 @@ function isLeapYear(year) {
     return (year % 4 === 0 && year % 100 !== 0) || (year % 400 === 0);
 }
 
-// 3. Add business days to a date
+// 3. Add business days to a date (weekends only - see BusinessCalendar for holidays)
 function addBusinessDays(date, days) {
     let result = new Date(date);
     while (days > 0) {
@@ -162,3 +151,1292 @@ function addBusinessDays(date, days) {
     }
     return result;
 }
+
+// ************ TIMEZONE-AWARE DATE MATH ************
+
+/*
+Why daysBetween and getWeekRange above go wrong twice a year:
+- A "day" is not always 86,400,000 ms: DST days are 23 or 25 hours long
+- setDate() works in the machine's timezone, not the timezone of the report
+The helpers below do calendar arithmetic on wall-clock fields (year, month,
+day, ...) and only convert back to an instant at the end. Every function
+takes an optional IANA timezone ('Europe/Berlin'); without one it uses local
+time. Months are 0-based, like the Date API.
+*/
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const zonedFormatterCache = new Map();
+
+function getZonedFormatter(timeZone) {
+    if (!zonedFormatterCache.has(timeZone)) {
+        zonedFormatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }));
+    }
+    return zonedFormatterCache.get(timeZone);
+}
+
+// Wall-clock fields of an instant as seen in a timezone
+function getDateParts(date, timeZone) {
+    date = new Date(date);
+    if (!timeZone) {
+        return {
+            year: date.getFullYear(), month: date.getMonth(), day: date.getDate(),
+            hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds(),
+            millisecond: date.getMilliseconds(), weekday: date.getDay()
+        };
+    }
+    
+    const parts = {};
+    for (const { type, value } of getZonedFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') parts[type] = Number(value);
+    }
+    return {
+        year: parts.year, month: parts.month - 1, day: parts.day,
+        hour: parts.hour, minute: parts.minute, second: parts.second,
+        millisecond: date.getUTCMilliseconds(),
+        weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+    };
+}
+
+// How far the timezone's wall clock is ahead of UTC at this instant (ms)
+function getTimezoneOffsetMs(date, timeZone) {
+    const time = Math.floor(new Date(date).getTime() / 1000) * 1000;
+    const p = getDateParts(time, timeZone);
+    return Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second) - time;
+}
+
+// Inverse of getDateParts: the instant at which the wall clock shows these fields.
+// Out-of-range fields roll over (day 32 -> next month), like the Date constructor.
+// DST gap (02:30 doesn't exist): moves forward. DST overlap (01:30 happens twice): the earlier one.
+function makeDate({ year, month = 0, day = 1, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) {
+    if (!timeZone) return new Date(year, month, day, hour, minute, second, millisecond);
+    
+    const wallClock = Date.UTC(year, month, day, hour, minute, second, millisecond);
+    const offsetBefore = getTimezoneOffsetMs(wallClock - MS_PER_DAY, timeZone);
+    const offsetAfter = getTimezoneOffsetMs(wallClock + MS_PER_DAY, timeZone);
+    
+    const candidates = [wallClock - offsetBefore, wallClock - offsetAfter]
+        .filter(time => time + getTimezoneOffsetMs(time, timeZone) === wallClock);
+    
+    if (candidates.length === 0) {
+        return new Date(wallClock - offsetBefore);   // In the gap: shift by the DST jump
+    }
+    return new Date(Math.min(...candidates));
+}
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Same wall-clock time, n calendar days later (n can be negative)
+function addDays(date, amount, { timeZone } = {}) {
+    const p = getDateParts(date, timeZone);
+    return makeDate({ ...p, day: p.day + amount }, timeZone);
+}
+
+// Jan 31 + 1 month = Feb 28/29 (clamped), never Mar 2/3
+function addMonths(date, amount, { timeZone } = {}) {
+    const p = getDateParts(date, timeZone);
+    const totalMonths = p.year * 12 + p.month + amount;
+    const year = Math.floor(totalMonths / 12);
+    const month = totalMonths - year * 12;
+    return makeDate({ ...p, year, month, day: Math.min(p.day, daysInMonth(year, month)) }, timeZone);
+}
+
+function addYears(date, amount, options) {
+    return addMonths(date, amount * 12, options);
+}
+
+// unit: 'day' | 'week' | 'month' | 'year'; weekStartsOn: 0 = Sunday ... 6 = Saturday
+function startOf(date, unit, { timeZone, weekStartsOn = 0 } = {}) {
+    const { year, month, day, weekday } = getDateParts(date, timeZone);
+    
+    switch (unit) {
+        case 'day':
+            return makeDate({ year, month, day }, timeZone);
+        case 'week':
+            return makeDate({ year, month, day: day - ((weekday - weekStartsOn + 7) % 7) }, timeZone);
+        case 'month':
+            return makeDate({ year, month, day: 1 }, timeZone);
+        case 'year':
+            return makeDate({ year, month: 0, day: 1 }, timeZone);
+        default:
+            throw new RangeError(`Unsupported unit: ${unit}`);
+    }
+}
+
+// Last millisecond of the unit (one ms before the next unit starts)
+function endOf(date, unit, options = {}) {
+    const start = startOf(date, unit, options);
+    const next = {
+        day: () => addDays(start, 1, options),
+        week: () => addDays(start, 7, options),
+        month: () => addMonths(start, 1, options),
+        year: () => addMonths(start, 12, options)
+    }[unit]();
+    return new Date(next.getTime() - 1);
+}
+
+// Number of midnights crossed, counted on the calendar of the given timezone
+function differenceInCalendarDays(later, earlier, { timeZone } = {}) {
+    const dayNumber = date => {
+        const { year, month, day } = getDateParts(date, timeZone);
+        return Date.UTC(year, month, day) / MS_PER_DAY;
+    };
+    return dayNumber(later) - dayNumber(earlier);
+}
+
+// const nyc = { timeZone: 'America/New_York' };
+// addDays(new Date('2024-03-09T17:00:00Z'), 1, nyc);        // 2024-03-10T16:00:00Z (still 12:00 local)
+// addMonths(new Date('2024-01-31T12:00:00Z'), 1);           // Feb 29, 2024
+// startOf(new Date(), 'week', { ...nyc, weekStartsOn: 1 }); // Monday 00:00 in New York
+// differenceInCalendarDays(new Date('2024-03-11T04:00:00Z'), new Date('2024-03-10T05:00:00Z'), nyc); // 1 (daysBetween says 0: that day is 23h)
+
+// ************ BUSINESS CALENDAR ************
+
+/*
+addBusinessDays above only knows Saturday/Sunday and steps one day at a time.
+BusinessCalendar adds configurable weekends and holiday lists, works in both
+directions and jumps whole weeks at once.
+
+Holiday specs (months are 0-based):
+  '2024-12-24'                                    one-off date
+  { month: 11, day: 25, name: 'Christmas' }       same date every year
+  { month: 0, day: 1, observed: true }            on a weekend day: moved to the nearest working
+                                                  weekday (Sat -> Fri, Sun -> Mon for a Sat-Sun weekend)
+  { month: 4, weekday: 1, nth: -1 }               last Monday of May
+  { month: 10, weekday: 4, nth: 4 }               4th Thursday of November
+  year => ({ month, day })                        anything else (e.g. Easter); return null
+                                                  for years without the holiday
+*/
+
+// Calendar days as integers (days since 1970-01-01) make day arithmetic exact
+const toDayNumber = (year, month, day) => Date.UTC(year, month, day) / MS_PER_DAY;
+const weekdayOf = dayNumber => ((dayNumber + 4) % 7 + 7) % 7;   // 1970-01-01 was a Thursday
+
+function fromDayNumber(dayNumber) {
+    const date = new Date(dayNumber * MS_PER_DAY);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+}
+
+// nth weekday of a month; nth = -1 means the last one
+function nthWeekdayOfMonth(year, month, weekday, nth) {
+    if (nth > 0) {
+        const first = toDayNumber(year, month, 1);
+        return first + ((weekday - weekdayOf(first) + 7) % 7) + (nth - 1) * 7;
+    }
+    const last = toDayNumber(year, month + 1, 0);
+    return last - ((weekdayOf(last) - weekday + 7) % 7) + (nth + 1) * 7;
+}
+
+class BusinessCalendar {
+    constructor({ weekendDays = [0, 6], holidays = [], timeZone } = {}) {
+        if (weekendDays.length >= 7) {
+            throw new RangeError('A calendar needs at least one working weekday');
+        }
+        this.weekendDays = new Set(weekendDays);
+        this.businessDaysPerWeek = 7 - this.weekendDays.size;
+        this.holidays = holidays;
+        this.timeZone = timeZone;
+        this.holidayCache = new Map();   // year -> Map(dayNumber -> name)
+    }
+    
+    // Map(dayNumber -> name) of the holidays that fall in a year
+    holidaysInYear(year) {
+        if (this.holidayCache.has(year)) return this.holidayCache.get(year);
+        
+        const days = new Map();
+        // Neighbouring years too: Jan 1 on a Saturday is observed on Dec 31 of the year before
+        for (const specYear of [year - 1, year, year + 1]) {
+            for (const spec of this.holidays) {
+                const dayNumber = this.resolveHoliday(spec, specYear);
+                if (dayNumber !== null && fromDayNumber(dayNumber).year === year) {
+                    days.set(dayNumber, spec.name || 'Holiday');
+                }
+            }
+        }
+        
+        this.holidayCache.set(year, days);
+        return days;
+    }
+    
+    resolveHoliday(spec, year) {
+        if (typeof spec === 'string') {
+            const [y, m, d] = spec.split('-').map(Number);
+            return y === year ? toDayNumber(y, m - 1, d) : null;
+        }
+        if (typeof spec === 'function') {
+            const date = spec(year);
+            return date ? toDayNumber(year, date.month, date.day) : null;
+        }
+        if (spec.nth !== undefined) {
+            return nthWeekdayOfMonth(year, spec.month, spec.weekday, spec.nth);
+        }
+        
+        const dayNumber = toDayNumber(year, spec.month, spec.day);
+        return spec.observed ? this.nearestWorkingWeekday(dayNumber) : dayNumber;
+    }
+    
+    // The day itself, or the closest day outside weekendDays (the later one on a tie)
+    nearestWorkingWeekday(dayNumber) {
+        for (let distance = 0; distance < 7; distance++) {
+            if (!this.weekendDays.has(weekdayOf(dayNumber + distance))) return dayNumber + distance;
+            if (!this.weekendDays.has(weekdayOf(dayNumber - distance))) return dayNumber - distance;
+        }
+    }
+    
+    isHoliday(dayNumber) {
+        return this.holidaysInYear(fromDayNumber(dayNumber).year).has(dayNumber);
+    }
+    
+    isBusinessDayNumber(dayNumber) {
+        return !this.weekendDays.has(weekdayOf(dayNumber)) && !this.isHoliday(dayNumber);
+    }
+    
+    // Holidays on working weekdays in the day range (from, to]
+    countHolidays(from, to) {
+        let count = 0;
+        for (let year = fromDayNumber(from + 1).year; year <= fromDayNumber(to).year; year++) {
+            for (const dayNumber of this.holidaysInYear(year).keys()) {
+                if (dayNumber > from && dayNumber <= to && !this.weekendDays.has(weekdayOf(dayNumber))) {
+                    count++;
+                }
+            }
+        }
+        return count;
+    }
+    
+    toDayNumber(date) {
+        const { year, month, day } = getDateParts(date, this.timeZone);
+        return toDayNumber(year, month, day);
+    }
+    
+    // Same wall-clock time as `date`, on another calendar day
+    withDayNumber(date, dayNumber) {
+        return makeDate({ ...getDateParts(date, this.timeZone), ...fromDayNumber(dayNumber) }, this.timeZone);
+    }
+    
+    isBusinessDay(date) {
+        return this.isBusinessDayNumber(this.toDayNumber(date));
+    }
+    
+    // amount can be negative; jumps whole weeks, then walks the last few days
+    addBusinessDays(date, amount) {
+        if (amount === 0) return new Date(date);
+        
+        const direction = Math.sign(amount);
+        let remaining = Math.abs(amount);
+        let current = this.toDayNumber(date);
+        
+        while (remaining > 0) {
+            // Any 7 consecutive days hold exactly businessDaysPerWeek working weekdays
+            const weeks = Math.floor((remaining - 1) / this.businessDaysPerWeek);
+            if (weeks > 0) {
+                const next = current + direction * weeks * 7;
+                const skipped = direction > 0
+                    ? this.countHolidays(current, next)
+                    : this.countHolidays(next - 1, current - 1);
+                remaining -= weeks * this.businessDaysPerWeek - skipped;
+                current = next;
+                continue;
+            }
+            
+            current += direction;
+            if (this.isBusinessDayNumber(current)) remaining--;
+        }
+        
+        return this.withDayNumber(date, current);
+    }
+    
+    // Business days d with start < d <= end, or minus those with end <= d < start
+    // when end is earlier - the days addBusinessDays steps onto in each direction,
+    // so addBusinessDays(start, businessDaysBetween(start, end)) lands on end
+    businessDaysBetween(start, end) {
+        const from = this.toDayNumber(start);
+        const to = this.toDayNumber(end);
+        if (to < from) return -this.countBusinessDays(to - 1, from - 1);
+        return this.countBusinessDays(from, to);
+    }
+    
+    // Business days in the day range (from, to]
+    countBusinessDays(from, to) {
+        const weeks = Math.floor((to - from) / 7);
+        let count = weeks * this.businessDaysPerWeek - this.countHolidays(from, from + weeks * 7);
+        
+        for (let day = from + weeks * 7 + 1; day <= to; day++) {
+            if (this.isBusinessDayNumber(day)) count++;
+        }
+        return count;
+    }
+    
+    nextBusinessDay(date) {
+        return this.addBusinessDays(date, 1);
+    }
+    
+    previousBusinessDay(date) {
+        return this.addBusinessDays(date, -1);
+    }
+}
+
+// const usCalendar = new BusinessCalendar({
+//     timeZone: 'America/New_York',
+//     holidays: [
+//         { month: 0, day: 1, observed: true, name: "New Year's Day" },
+//         { month: 4, weekday: 1, nth: -1, name: 'Memorial Day' },
+//         { month: 6, day: 4, observed: true, name: 'Independence Day' },
+//         { month: 10, weekday: 4, nth: 4, name: 'Thanksgiving' },
+//         { month: 11, day: 25, observed: true, name: 'Christmas Day' }
+//     ]
+// });
+// usCalendar.addBusinessDays(new Date('2024-05-24T15:00:00Z'), 1);   // Tue May 28 (skips Memorial Day)
+// usCalendar.businessDaysBetween(new Date('2024-05-28T15:00:00Z'), new Date('2024-05-24T15:00:00Z')); // -1
+// const gulfCalendar = new BusinessCalendar({ weekendDays: [5, 6] }); // Friday-Saturday weekend
+
+// ************ DATE FORMATTING AND PARSING WITH TOKENS ************
+
+/*
+Tokens (wrap literal text in [brackets]):
+  YYYY 2024   YY 24        M 1    MM 01    MMM Jan   MMMM January
+  D 5         DD 05        ddd Mon         dddd Monday
+  H 7         HH 07        h 7    hh 07    A AM/PM   a am/pm
+  m 4         mm 04        s 9    ss 09    SSS 042 (milliseconds)
+  Z +05:30    ZZ +0530     X unix seconds  x unix milliseconds
+Month and day names come from Intl, so they follow the locale.
+*/
+
+class DateParseError extends Error {
+    constructor(message, { token, index, input }) {
+        super(`${message} (token "${token}" at position ${index} of "${input}")`);
+        this.name = 'DateParseError';
+        this.token = token;
+        this.index = index;
+        this.input = input;
+    }
+}
+
+const DATE_TOKEN_PATTERN = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|m|ss|s|SSS|A|a|ZZ|Z|X|x/g;
+
+function tokenizeDatePattern(pattern) {
+    const tokens = [];
+    let last = 0;
+    for (const match of pattern.matchAll(DATE_TOKEN_PATTERN)) {
+        if (match.index > last) tokens.push({ literal: pattern.slice(last, match.index) });
+        tokens.push(match[1] !== undefined ? { literal: match[1] } : { token: match[0] });
+        last = match.index + match[0].length;
+    }
+    if (last < pattern.length) tokens.push({ literal: pattern.slice(last) });
+    return tokens;
+}
+
+const localeNamesCache = new Map();
+
+// Month/weekday names and day periods for a locale, straight from Intl
+function getLocaleNames(locale) {
+    if (localeNamesCache.has(locale)) return localeNamesCache.get(locale);
+    
+    const format = options => new Intl.DateTimeFormat(locale, { timeZone: 'UTC', ...options });
+    const months = { long: format({ month: 'long' }), short: format({ month: 'short' }) };
+    const weekdays = { long: format({ weekday: 'long' }), short: format({ weekday: 'short' }) };
+    const dayPeriod = hour => format({ hour: 'numeric', hour12: true })
+        .formatToParts(Date.UTC(2000, 0, 1, hour))
+        .find(part => part.type === 'dayPeriod').value;
+    
+    const names = {
+        MMMM: Array.from({ length: 12 }, (_, m) => months.long.format(Date.UTC(2000, m, 1))),
+        MMM: Array.from({ length: 12 }, (_, m) => months.short.format(Date.UTC(2000, m, 1))),
+        dddd: Array.from({ length: 7 }, (_, d) => weekdays.long.format(Date.UTC(2000, 0, 2 + d))),  // Jan 2, 2000 was a Sunday
+        ddd: Array.from({ length: 7 }, (_, d) => weekdays.short.format(Date.UTC(2000, 0, 2 + d))),
+        A: [dayPeriod(0), dayPeriod(12)]
+    };
+    localeNamesCache.set(locale, names);
+    return names;
+}
+
+const pad = (value, length = 2) => String(Math.abs(value)).padStart(length, '0');
+
+function formatOffset(offsetMinutes, separator) {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    return sign + pad(Math.floor(Math.abs(offsetMinutes) / 60)) + separator + pad(Math.abs(offsetMinutes) % 60);
+}
+
+// formatDate(new Date(), 'YYYY-MM-DD HH:mm:ss Z')                         // "2024-03-10 14:05:09 +01:00"
+// formatDate(date, 'dddd, D MMMM YYYY', { locale: 'de-DE', timeZone: 'Europe/Berlin' })  // "Sonntag, 10 März 2024"
+function formatDate(date, pattern, { locale = 'en-US', timeZone } = {}) {
+    date = new Date(date);
+    if (Number.isNaN(date.getTime())) throw new RangeError('Invalid date');
+    
+    const p = getDateParts(date, timeZone);
+    const names = getLocaleNames(locale);
+    const offsetMinutes = Math.round(getTimezoneOffsetMs(date, timeZone) / 60000);
+    const hour12 = p.hour % 12 || 12;
+    
+    const values = {
+        YYYY: () => pad(p.year, 4),
+        YY: () => pad(p.year % 100),
+        M: () => String(p.month + 1),
+        MM: () => pad(p.month + 1),
+        MMM: () => names.MMM[p.month],
+        MMMM: () => names.MMMM[p.month],
+        D: () => String(p.day),
+        DD: () => pad(p.day),
+        ddd: () => names.ddd[p.weekday],
+        dddd: () => names.dddd[p.weekday],
+        H: () => String(p.hour),
+        HH: () => pad(p.hour),
+        h: () => String(hour12),
+        hh: () => pad(hour12),
+        m: () => String(p.minute),
+        mm: () => pad(p.minute),
+        s: () => String(p.second),
+        ss: () => pad(p.second),
+        SSS: () => pad(p.millisecond, 3),
+        A: () => names.A[p.hour < 12 ? 0 : 1],
+        a: () => names.A[p.hour < 12 ? 0 : 1].toLowerCase(),
+        Z: () => formatOffset(offsetMinutes, ':'),
+        ZZ: () => formatOffset(offsetMinutes, ''),
+        X: () => String(Math.floor(date.getTime() / 1000)),
+        x: () => String(date.getTime())
+    };
+    
+    return tokenizeDatePattern(pattern)
+        .map(part => part.literal !== undefined ? part.literal : values[part.token]())
+        .join('');
+}
+
+// Strict parse: every token must match and nothing may be left over.
+// parseDate('2024-03-10 14:05', 'YYYY-MM-DD HH:mm', { timeZone: 'Europe/Berlin' })
+// parseDate('2024-13-10', 'YYYY-MM-DD')  -> DateParseError: Month out of range (token "MM" at position 5 ...)
+// YY below twoDigitYearPivot (default 70) means 20YY, the rest 19YY:
+// parseDate('99-01-05', 'YY-MM-DD') is Jan 5, 1999; parseDate('24-01-05', 'YY-MM-DD') is Jan 5, 2024
+// h/hh need A or a in the same pattern: '12:30' alone could be noon or half past midnight
+function parseDate(input, pattern, { locale = 'en-US', timeZone, twoDigitYearPivot = 70 } = {}) {
+    const names = getLocaleNames(locale);
+    const fields = {};
+    let index = 0;
+    
+    const fail = (message, token, at = index) => {
+        throw new DateParseError(message, { token, index: at, input });
+    };
+    
+    const readNumber = (token, minDigits, maxDigits, signed = false) => {
+        const match = input.slice(index).match(new RegExp(`^${signed ? '-?' : ''}\\d{${minDigits},${maxDigits}}`));
+        if (!match) fail(`Expected ${minDigits === maxDigits ? minDigits : `${minDigits}-${maxDigits}`} digits`, token);
+        index += match[0].length;
+        return Number(match[0]);
+    };
+    
+    // Longest name first, so "June" wins over "Jun"
+    const readName = (token, list) => {
+        const rest = input.slice(index).toLocaleLowerCase(locale);
+        const found = list
+            .map((name, value) => ({ name, value }))
+            .sort((a, b) => b.name.length - a.name.length)
+            .find(({ name }) => rest.startsWith(name.toLocaleLowerCase(locale)));
+        if (!found) fail(`Expected one of ${list.join(', ')}`, token);
+        index += found.name.length;
+        return found.value;
+    };
+    
+    const readOffset = token => {
+        const match = input.slice(index).match(token === 'Z' ? /^(?:([+-])(\d{2}):(\d{2})|Z)/ : /^(?:([+-])(\d{2})(\d{2})|Z)/);
+        if (!match) fail(`Expected a UTC offset like ${token === 'Z' ? '+05:30' : '+0530'} or Z`, token);
+        index += match[0].length;
+        return match[0] === 'Z' ? 0 : (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+    };
+    
+    const readers = {
+        YYYY: () => { fields.year = readNumber('YYYY', 4, 4); },
+        YY: () => {
+            const yy = readNumber('YY', 2, 2);
+            fields.year = (yy < twoDigitYearPivot ? 2000 : 1900) + yy;
+        },
+        M: () => { fields.month = readNumber('M', 1, 2) - 1; },
+        MM: () => { fields.month = readNumber('MM', 2, 2) - 1; },
+        MMM: () => { fields.month = readName('MMM', names.MMM); },
+        MMMM: () => { fields.month = readName('MMMM', names.MMMM); },
+        D: () => { fields.day = readNumber('D', 1, 2); },
+        DD: () => { fields.day = readNumber('DD', 2, 2); },
+        ddd: () => { fields.weekday = readName('ddd', names.ddd); },
+        dddd: () => { fields.weekday = readName('dddd', names.dddd); },
+        H: () => { fields.hour = readNumber('H', 1, 2); },
+        HH: () => { fields.hour = readNumber('HH', 2, 2); },
+        h: () => { fields.hour12 = readNumber('h', 1, 2); },
+        hh: () => { fields.hour12 = readNumber('hh', 2, 2); },
+        m: () => { fields.minute = readNumber('m', 1, 2); },
+        mm: () => { fields.minute = readNumber('mm', 2, 2); },
+        s: () => { fields.second = readNumber('s', 1, 2); },
+        ss: () => { fields.second = readNumber('ss', 2, 2); },
+        SSS: () => { fields.millisecond = readNumber('SSS', 3, 3); },
+        A: () => { fields.pm = readName('A', names.A) === 1; },
+        a: () => { fields.pm = readName('a', names.A) === 1; },
+        Z: () => { fields.offset = readOffset('Z'); },
+        ZZ: () => { fields.offset = readOffset('ZZ'); },
+        X: () => { fields.timestamp = readNumber('X', 1, 12, true) * 1000; },
+        x: () => { fields.timestamp = readNumber('x', 1, 15, true); }
+    };
+    
+    const positions = {};
+    for (const part of tokenizeDatePattern(pattern)) {
+        if (part.literal !== undefined) {
+            if (!input.startsWith(part.literal, index)) fail(`Expected "${part.literal}"`, part.literal);
+            index += part.literal.length;
+            continue;
+        }
+        positions[part.token] = index;
+        readers[part.token]();
+    }
+    if (index < input.length) fail('Unexpected trailing text', input.slice(index));
+    
+    if (fields.timestamp !== undefined) return new Date(fields.timestamp);
+    
+    // Range checks report the token that produced the bad value
+    const tokenFor = (...candidates) => candidates.find(token => token in positions);
+    const check = (condition, message, ...candidates) => {
+        if (!condition) {
+            const token = tokenFor(...candidates);
+            fail(message, token, positions[token]);
+        }
+    };
+    
+    const { year = 1970, month = 0, day = 1, minute = 0, second = 0, millisecond = 0 } = fields;
+    let { hour = 0 } = fields;
+    if (fields.hour12 !== undefined) {
+        check(fields.pm !== undefined, 'A 12-hour clock needs an AM/PM marker (A or a) in the pattern', 'h', 'hh');
+        check(fields.hour12 >= 1 && fields.hour12 <= 12, 'Hour out of range (1-12)', 'h', 'hh');
+        hour = (fields.hour12 % 12) + (fields.pm ? 12 : 0);
+    }
+    
+    check(month >= 0 && month <= 11, 'Month out of range', 'M', 'MM');
+    check(day >= 1 && day <= daysInMonth(year, month), `Day out of range for ${year}-${pad(month + 1)}`, 'D', 'DD');
+    check(hour <= 23, 'Hour out of range (0-23)', 'H', 'HH');
+    check(minute <= 59, 'Minute out of range', 'm', 'mm');
+    check(second <= 59, 'Second out of range', 's', 'ss');
+    
+    const date = fields.offset !== undefined
+        ? new Date(Date.UTC(year, month, day, hour, minute, second, millisecond) - fields.offset * 60000)
+        : makeDate({ year, month, day, hour, minute, second, millisecond }, timeZone);
+    
+    if (fields.weekday !== undefined) {
+        check(new Date(Date.UTC(year, month, day)).getUTCDay() === fields.weekday,
+            'Weekday does not match the date', 'dddd', 'ddd');
+    }
+    return date;
+}
+
+// ************ ISO 8601 DURATIONS ************
+
+// parseDuration('P1DT2H')      // { years: 0, months: 0, weeks: 0, days: 1, hours: 2, minutes: 0, seconds: 0, negative: false }
+// parseDuration('-PT1.5S')     // seconds: 1.5, negative: true
+const DURATION_PATTERN = /^([+-])?P(?:(\d+(?:[.,]\d+)?)Y)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)W)?(?:(\d+(?:[.,]\d+)?)D)?(?:T(?:(\d+(?:[.,]\d+)?)H)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)S)?)?$/;
+const DURATION_UNITS = ['years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds'];
+
+function parseDuration(input) {
+    const match = DURATION_PATTERN.exec(input);
+    // "P" and "PT" alone match the pattern but contain no components
+    if (!match || /^[+-]?PT?$/.test(input) || input.endsWith('T')) {
+        throw new SyntaxError(`Invalid ISO 8601 duration: "${input}"`);
+    }
+    
+    const duration = { negative: match[1] === '-' };
+    DURATION_UNITS.forEach((unit, i) => {
+        duration[unit] = match[i + 2] ? Number(match[i + 2].replace(',', '.')) : 0;
+    });
+    return duration;
+}
+
+// Accepts a duration object or a number of milliseconds
+// formatDuration({ days: 1, hours: 2 })   // "P1DT2H"
+// formatDuration(90061000)                // "P1DT1H1M1S"
+function formatDuration(duration) {
+    if (typeof duration === 'number') duration = durationFromMs(duration);
+    
+    const { years = 0, months = 0, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0, negative = false } = duration;
+    const datePart = (years ? `${years}Y` : '') + (months ? `${months}M` : '') +
+        (weeks ? `${weeks}W` : '') + (days ? `${days}D` : '');
+    const timePart = (hours ? `${hours}H` : '') + (minutes ? `${minutes}M` : '') +
+        (seconds ? `${Number(seconds.toFixed(3))}S` : '');
+    
+    if (!datePart && !timePart) return 'PT0S';
+    return `${negative ? '-' : ''}P${datePart}${timePart ? 'T' + timePart : ''}`;
+}
+
+function durationFromMs(ms) {
+    const negative = ms < 0;
+    let rest = Math.abs(ms);
+    const days = Math.floor(rest / MS_PER_DAY);
+    rest -= days * MS_PER_DAY;
+    const hours = Math.floor(rest / 3600000);
+    rest -= hours * 3600000;
+    const minutes = Math.floor(rest / 60000);
+    rest -= minutes * 60000;
+    return { days, hours, minutes, seconds: rest / 1000, negative };
+}
+
+// Years and months have no fixed length, so they can't become milliseconds
+function durationToMs(duration) {
+    if (typeof duration === 'string') duration = parseDuration(duration);
+    const { years = 0, months = 0, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0, negative = false } = duration;
+    if (years || months) {
+        throw new RangeError('Durations with years or months depend on the start date; use addMonths instead');
+    }
+    const ms = ((weeks * 7 + days) * 24 * 3600 + hours * 3600 + minutes * 60 + seconds) * 1000;
+    return negative ? -ms : ms;
+}
+
+// ************ RELATIVE TIME AND HUMANIZED DURATIONS ************
+
+// A unit is used while the value stays below its threshold, then the next unit takes over
+// (e.g. 44 minutes -> "44 minutes", 45 minutes -> "1 hour")
+const DEFAULT_TIME_THRESHOLDS = { justNow: 10, second: 45, minute: 45, hour: 22, day: 26, month: 11 };
+
+const TIME_UNITS = [
+    { unit: 'second', ms: 1000 },
+    { unit: 'minute', ms: 60 * 1000 },
+    { unit: 'hour', ms: 60 * 60 * 1000 },
+    { unit: 'day', ms: MS_PER_DAY },
+    { unit: 'month', ms: 30.436875 * MS_PER_DAY },   // Average Gregorian month
+    { unit: 'year', ms: 365.2425 * MS_PER_DAY }
+];
+
+// Picks the unit for a duration; null means "just now"
+function pickTimeUnit(ms, { thresholds = {}, rounding = 'round' } = {}) {
+    const limits = { ...DEFAULT_TIME_THRESHOLDS, ...thresholds };
+    const abs = Math.abs(ms);
+    if (abs / 1000 < limits.justNow) return null;
+    
+    for (const { unit, ms: unitMs } of TIME_UNITS) {
+        const value = Math[rounding](abs / unitMs);
+        if (unit === 'year' || value < limits[unit]) {
+            return { unit, value: Math.max(1, value) };
+        }
+    }
+}
+
+// humanize(3 * 60 * 60 * 1000)               // "3 hours"
+// humanize(90 * 1000, { rounding: 'floor' }) // "1 minute"
+function humanize(ms, { locale = 'en-US', unitDisplay = 'long', ...options } = {}) {
+    const picked = pickTimeUnit(ms, options) || { unit: 'second', value: Math.round(Math.abs(ms) / 1000) };
+    return new Intl.NumberFormat(locale, { style: 'unit', unit: picked.unit, unitDisplay }).format(picked.value);
+}
+
+// relativeTime(new Date(Date.now() + 3 * 3600e3))    // "in 3 hours"
+// relativeTime(twoDaysAgo)                           // "2 days ago"
+// relativeTime(twoDaysAgo, now, { numeric: 'auto' }) // "2 days ago"; 1 day -> "yesterday"
+// relativeTime(fiveSecondsAgo)                       // "just now"
+function relativeTime(date, now = new Date(), {
+    locale = 'en-US',
+    numeric = 'always',
+    style = 'long',
+    justNowLabel,
+    ...options
+} = {}) {
+    const diff = new Date(date).getTime() - new Date(now).getTime();
+    const formatter = new Intl.RelativeTimeFormat(locale, { numeric, style });
+    const picked = pickTimeUnit(diff, options);
+    
+    if (!picked) {
+        if (justNowLabel !== undefined) return justNowLabel;
+        // Intl only has "now"; English readers expect "just now"
+        return /^en\b/.test(locale) ? 'just now' : new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }).format(0, 'second');
+    }
+    return formatter.format(Math.sign(diff) * picked.value, picked.unit);
+}
+
+// ************ REUSABLE COUNTDOWN ************
+
+// The real clock; tests can pass a manual one instead (see createManualClock)
+const systemClock = {
+    now: () => Date.now(),
+    setInterval: (callback, ms) => setInterval(callback, ms),
+    clearInterval: id => clearInterval(id)
+};
+
+// Clock that only moves when told to: clock.advance(1000) fires due intervals
+function createManualClock(start = 0) {
+    let current = start;
+    let nextId = 1;
+    const timers = new Map();
+    
+    return {
+        now: () => current,
+        setInterval(callback, ms) {
+            timers.set(nextId, { callback, ms, due: current + ms });
+            return nextId++;
+        },
+        clearInterval(id) {
+            timers.delete(id);
+        },
+        advance(ms) {
+            const end = current + ms;
+            for (;;) {
+                const next = [...timers.entries()].sort((a, b) => a[1].due - b[1].due)[0];
+                if (!next || next[1].due > end) break;
+                const [, timer] = next;
+                current = timer.due;
+                timer.due += timer.ms;
+                timer.callback();
+            }
+            current = end;
+        }
+    };
+}
+
+// Splits milliseconds into the fields countdown() used to print
+function splitDuration(ms) {
+    return {
+        days: Math.floor(ms / MS_PER_DAY),
+        hours: Math.floor((ms / (1000 * 60 * 60)) % 24),
+        minutes: Math.floor((ms / (1000 * 60)) % 60),
+        seconds: Math.floor((ms / 1000) % 60)
+    };
+}
+
+// Events: 'tick' ({ remaining, ...splitDuration }), 'complete', 'pause', 'resume', 'stop'
+// States: 'idle' -> 'running' <-> 'paused' -> 'stopped' | 'completed'
+class Countdown {
+    constructor(target, { interval = 1000, clock = systemClock } = {}) {
+        this.clock = clock;
+        this.interval = interval;
+        this.target = new Date(target).getTime();
+        this.pausedRemaining = null;
+        this.timerId = null;
+        this.state = 'idle';
+        this.events = {};
+    }
+    
+    static fromDuration(ms, options = {}) {
+        const clock = options.clock || systemClock;
+        return new Countdown(clock.now() + ms, options);
+    }
+    
+    on(event, callback) {
+        if (!this.events[event]) {
+            this.events[event] = [];
+        }
+        this.events[event].push(callback);
+        return this;
+    }
+    
+    off(event, callback) {
+        this.events[event] = (this.events[event] || []).filter(cb => cb !== callback);
+        return this;
+    }
+    
+    emit(event, data) {
+        const callbacks = this.events[event] || [];
+        callbacks.forEach(callback => callback(data));
+    }
+    
+    get remaining() {
+        if (this.state === 'paused') return this.pausedRemaining;
+        if (this.state === 'completed') return 0;
+        return Math.max(0, this.target - this.clock.now());
+    }
+    
+    start() {
+        if (this.state !== 'idle') return this;
+        this.state = 'running';
+        this.schedule();
+        this.tick();
+        return this;
+    }
+    
+    pause() {
+        if (this.state !== 'running') return this;
+        this.pausedRemaining = this.remaining;
+        this.state = 'paused';
+        this.unschedule();
+        this.emit('pause', { remaining: this.pausedRemaining });
+        return this;
+    }
+    
+    // The time spent paused is added back, so the countdown doesn't jump
+    resume() {
+        if (this.state !== 'paused') return this;
+        this.target = this.clock.now() + this.pausedRemaining;
+        this.pausedRemaining = null;
+        this.state = 'running';
+        this.schedule();
+        this.emit('resume', { remaining: this.remaining });
+        return this;
+    }
+    
+    // Stops for good without firing 'complete'
+    stop() {
+        if (this.state === 'stopped' || this.state === 'completed') return this;
+        const remaining = this.remaining;
+        this.state = 'stopped';
+        this.unschedule();
+        this.emit('stop', { remaining });
+        return this;
+    }
+    
+    tick() {
+        const remaining = this.remaining;
+        if (remaining <= 0) {
+            this.state = 'completed';
+            this.unschedule();
+            this.emit('complete');
+            return;
+        }
+        this.emit('tick', { remaining, ...splitDuration(remaining) });
+    }
+    
+    schedule() {
+        this.timerId = this.clock.setInterval(() => this.tick(), this.interval);
+    }
+    
+    unschedule() {
+        if (this.timerId !== null) {
+            this.clock.clearInterval(this.timerId);
+            this.timerId = null;
+        }
+    }
+}
+
+// const clock = createManualClock();
+// const timer = Countdown.fromDuration(3000, { clock })
+//     .on('tick', ({ seconds }) => console.log(seconds))
+//     .on('complete', () => console.log('Done'))
+//     .start();                    // logs 3
+// clock.advance(3000);             // logs 2, 1, then "Done" - no real waiting
+
+// ************ RECURRING SCHEDULES (CRON AND RRULE) ************
+
+/*
+Two ways to describe "every weekday at 09:00":
+  cron:   '0 9 * * 1-5'
+  RRULE:  'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR'   (time of day comes from dtstart)
+Both give the same API:
+  schedule.next(after)            first occurrence strictly after `after`
+  schedule.between(start, end)    every occurrence in the range
+  schedule.occurrences(after)     lazy generator, also used by for...of
+Times are wall-clock times in the schedule's timezone, so 09:00 stays 09:00
+across DST. A cron time that falls in a DST gap is skipped for that day.
+*/
+
+class Schedule {
+    next(after = new Date()) {
+        const { value, done } = this.occurrences(after).next();
+        return done ? null : value;
+    }
+    
+    between(start, end, { inclusive = false } = {}) {
+        const from = new Date(new Date(start).getTime() - (inclusive ? 1 : 0));
+        const last = new Date(end).getTime();
+        const result = [];
+        
+        for (const date of this.occurrences(from)) {
+            if (date.getTime() > last || (!inclusive && date.getTime() === last)) break;
+            result.push(date);
+        }
+        return result;
+    }
+    
+    [Symbol.iterator]() {
+        return this.occurrences();
+    }
+}
+
+// ---------- Cron ----------
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const CRON_MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// "1-5", "*/15", "MON,WED", "0-30/10" -> sorted numbers
+function parseCronField(text, { name, min, max, names }) {
+    const values = new Set();
+    
+    const toNumber = token => {
+        const index = names ? names.indexOf(token.toUpperCase()) : -1;
+        const value = index !== -1 ? index + (name === 'month' ? 1 : 0) : Number(token);
+        if ((index === -1 && !/^\d+$/.test(token)) || value < min || value > max) {
+            throw new SyntaxError(`Invalid ${name} "${token}" in cron field "${text}" (allowed ${min}-${max})`);
+        }
+        return value;
+    };
+    
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new SyntaxError(`Invalid step "${stepText}" in cron ${name} field "${text}"`);
+        }
+        
+        let low;
+        let high;
+        if (range === '*') {
+            [low, high] = [min, max];
+        } else if (range.includes('-')) {
+            [low, high] = range.split('-').map(toNumber);
+        } else {
+            low = toNumber(range);
+            high = stepText === undefined ? low : max;   // "5/15" means 5, 20, 35, 50
+        }
+        if (low > high) throw new SyntaxError(`Range "${range}" in cron ${name} field is backwards`);
+        
+        for (let value = low; value <= high; value += step) values.add(value);
+    }
+    
+    if (name === 'day of week' && values.delete(7)) values.add(0);   // 7 is also Sunday
+    return [...values].sort((a, b) => a - b);
+}
+
+class CronSchedule extends Schedule {
+    constructor(expression, { timeZone } = {}) {
+        super();
+        const source = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+        const fields = source.split(/\s+/);
+        if (fields.length !== 5) {
+            throw new SyntaxError(`Cron expression "${expression}" needs 5 fields (minute hour day month weekday)`);
+        }
+        
+        this.expression = expression;
+        this.timeZone = timeZone;
+        [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] =
+            fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+        
+        // Classic cron rule: when both day fields are restricted, either may match
+        this.anyDayOfMonth = fields[2] === '*';
+        this.anyDayOfWeek = fields[4] === '*';
+    }
+    
+    matchesDay(month, day, weekday) {
+        if (!this.months.includes(month + 1)) return false;
+        const dayOfMonth = this.daysOfMonth.includes(day);
+        const dayOfWeek = this.daysOfWeek.includes(weekday);
+        if (this.anyDayOfMonth) return dayOfWeek;
+        if (this.anyDayOfWeek) return dayOfMonth;
+        return dayOfMonth || dayOfWeek;
+    }
+    
+    *occurrences(after = new Date()) {
+        let current = new Date(after).getTime();
+        
+        for (;;) {
+            const next = this.findNext(current);
+            if (!next) return;
+            yield next;
+            current = next.getTime();
+        }
+    }
+    
+    // Walks calendar days (not minutes), so sparse schedules are still fast
+    findNext(after) {
+        const from = getDateParts(after, this.timeZone);
+        const firstDay = toDayNumber(from.year, from.month, from.day);
+        
+        // Eight years covers every valid combination, including Feb 29 on a given weekday
+        for (let dayNumber = firstDay; dayNumber < firstDay + 366 * 8; dayNumber++) {
+            const { year, month, day } = fromDayNumber(dayNumber);
+            if (!this.matchesDay(month, day, weekdayOf(dayNumber))) continue;
+            
+            for (const hour of this.hours) {
+                if (dayNumber === firstDay && hour < from.hour) continue;
+                for (const minute of this.minutes) {
+                    if (dayNumber === firstDay && hour === from.hour && minute < from.minute) continue;
+                    
+                    const date = makeDate({ year, month, day, hour, minute }, this.timeZone);
+                    if (date.getTime() <= after) continue;
+                    
+                    const shown = getDateParts(date, this.timeZone);
+                    if (shown.hour !== hour || shown.minute !== minute) continue;   // Inside a DST gap
+                    return date;
+                }
+            }
+        }
+        return null;   // e.g. "0 0 30 2 *" never happens
+    }
+}
+
+// ---------- RRULE (RFC 5545 subset) ----------
+
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+class RRule extends Schedule {
+    // dtstart fixes the first occurrence and the time of day of every occurrence
+    constructor(rule, { dtstart = new Date(), timeZone } = {}) {
+        super();
+        this.rule = rule;
+        this.timeZone = timeZone;
+        this.dtstart = new Date(dtstart);
+        this.start = getDateParts(this.dtstart, timeZone);
+        this.startDay = toDayNumber(this.start.year, this.start.month, this.start.day);
+        
+        const options = {};
+        for (const pair of rule.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+            const [key, value] = pair.split('=');
+            if (value === undefined) throw new SyntaxError(`Malformed RRULE part "${pair}"`);
+            options[key.toUpperCase()] = value.toUpperCase();
+        }
+        
+        this.freq = options.FREQ;
+        if (!RRULE_FREQUENCIES.includes(this.freq)) {
+            throw new SyntaxError(`Unsupported or missing FREQ "${options.FREQ}" (expected ${RRULE_FREQUENCIES.join(', ')})`);
+        }
+        
+        const unknown = Object.keys(options).filter(key =>
+            !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL', 'WKST'].includes(key));
+        if (unknown.length) throw new SyntaxError(`Unsupported RRULE parts: ${unknown.join(', ')}`);
+        if (options.COUNT && options.UNTIL) throw new SyntaxError('COUNT and UNTIL cannot be used together');
+        
+        this.interval = options.INTERVAL ? Number(options.INTERVAL) : 1;
+        this.count = options.COUNT ? Number(options.COUNT) : null;
+        this.until = options.UNTIL ? this.parseUntil(options.UNTIL) : null;
+        this.weekStart = RRULE_WEEKDAYS.indexOf(options.WKST || 'MO');
+        if (!Number.isInteger(this.interval) || this.interval < 1) throw new SyntaxError(`Invalid INTERVAL "${options.INTERVAL}"`);
+        if (this.count !== null && (!Number.isInteger(this.count) || this.count < 1)) throw new SyntaxError(`Invalid COUNT "${options.COUNT}"`);
+        
+        // BYDAY=MO,2TU,-1FR -> [{ weekday: 1 }, { weekday: 2, nth: 2 }, { weekday: 5, nth: -1 }]
+        this.byDay = options.BYDAY ? options.BYDAY.split(',').map(token => {
+            const match = token.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+            if (!match) throw new SyntaxError(`Invalid BYDAY value "${token}"`);
+            return { weekday: RRULE_WEEKDAYS.indexOf(match[2]), nth: match[1] ? Number(match[1]) : null };
+        }) : null;
+        
+        this.byMonthDay = options.BYMONTHDAY ? options.BYMONTHDAY.split(',').map(token => {
+            const value = Number(token);
+            if (!Number.isInteger(value) || value === 0 || Math.abs(value) > 31) {
+                throw new SyntaxError(`Invalid BYMONTHDAY value "${token}"`);
+            }
+            return value;
+        }) : null;
+        
+        if (this.byDay && this.byDay.some(({ nth }) => nth !== null) && this.freq !== 'MONTHLY') {
+            throw new SyntaxError('Numbered BYDAY values (e.g. 2TU) are only supported with FREQ=MONTHLY');
+        }
+        if (this.byDay && this.freq === 'YEARLY') {
+            throw new SyntaxError('BYDAY with FREQ=YEARLY is not supported');
+        }
+    }
+    
+    // UNTIL=20241231 (whole day, in the schedule's timezone) or 20241231T170000Z
+    parseUntil(value) {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+        if (!match) throw new SyntaxError(`Invalid UNTIL "${value}"`);
+        const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+        
+        if (match[4] === undefined) {
+            return makeDate({ year, month: month - 1, day, hour: 23, minute: 59, second: 59, millisecond: 999 }, this.timeZone);
+        }
+        return match[7]
+            ? new Date(Date.UTC(year, month - 1, day, hour, minute, second))
+            : makeDate({ year, month: month - 1, day, hour, minute, second }, this.timeZone);
+    }
+    
+    matchesMonthDay(dayNumber) {
+        if (!this.byMonthDay) return true;
+        const { year, month, day } = fromDayNumber(dayNumber);
+        const length = daysInMonth(year, month);
+        return this.byMonthDay.some(value => (value > 0 ? value : length + 1 + value) === day);
+    }
+    
+    matchesWeekday(dayNumber) {
+        if (!this.byDay) return true;
+        const { year, month } = fromDayNumber(dayNumber);
+        return this.byDay.some(({ weekday, nth }) => nth === null
+            ? weekdayOf(dayNumber) === weekday
+            : nthWeekdayOfMonth(year, month, weekday, nth) === dayNumber);
+    }
+    
+    // Candidate days (as day numbers) in the n-th period after dtstart
+    daysInPeriod(period) {
+        const step = period * this.interval;
+        const keep = dayNumber => this.matchesWeekday(dayNumber) && this.matchesMonthDay(dayNumber);
+        
+        if (this.freq === 'DAILY') {
+            const dayNumber = this.startDay + step;
+            return keep(dayNumber) ? [dayNumber] : [];
+        }
+        
+        if (this.freq === 'WEEKLY') {
+            const weekStart = this.startDay - ((weekdayOf(this.startDay) - this.weekStart + 7) % 7) + step * 7;
+            const weekdays = this.byDay ? null : [this.start.weekday];
+            return Array.from({ length: 7 }, (_, i) => weekStart + i).filter(dayNumber =>
+                (weekdays ? weekdays.includes(weekdayOf(dayNumber)) : this.matchesWeekday(dayNumber)) &&
+                this.matchesMonthDay(dayNumber));
+        }
+        
+        const totalMonths = this.start.year * 12 + this.start.month + (this.freq === 'MONTHLY' ? step : step * 12);
+        const year = Math.floor(totalMonths / 12);
+        const month = totalMonths - year * 12;
+        const length = daysInMonth(year, month);
+        const first = toDayNumber(year, month, 1);
+        
+        // No BY* rule: same day of month as dtstart (months without that day are skipped)
+        if (!this.byDay && !this.byMonthDay) {
+            return this.start.day <= length ? [first + this.start.day - 1] : [];
+        }
+        return Array.from({ length }, (_, i) => first + i).filter(keep);
+    }
+    
+    // Index of the period (day, week, month or year block) that contains a day
+    periodOf(dayNumber) {
+        const { year, month } = fromDayNumber(dayNumber);
+        const periods = {
+            DAILY: () => dayNumber - this.startDay,
+            WEEKLY: () => Math.floor((dayNumber - this.startDay + (weekdayOf(this.startDay) - this.weekStart + 7) % 7) / 7),
+            MONTHLY: () => (year - this.start.year) * 12 + (month - this.start.month),
+            YEARLY: () => year - this.start.year
+        };
+        return Math.max(0, Math.floor(periods[this.freq]() / this.interval));
+    }
+    
+    *occurrences(after) {
+        const afterTime = after === undefined ? -Infinity : new Date(after).getTime();
+        const { hour, minute, second } = this.start;
+        let emitted = 0;
+        
+        // Days before this one hold only occurrences before `after` (one day of slack for UTC offsets)
+        let skipBefore = -Infinity;
+        let firstPeriod = 0;
+        if (after !== undefined) {
+            const { year, month, day } = getDateParts(after, this.timeZone);
+            skipBefore = toDayNumber(year, month, day) - 1;
+            // COUNT needs every earlier occurrence counted; without it, start at `after`
+            if (this.count === null) firstPeriod = this.periodOf(skipBefore);
+        }
+        
+        // A rule that can never match (BYMONTHDAY=30 with FREQ=YEARLY in February) would loop forever
+        for (let period = firstPeriod, empty = 0; empty < 1000; period++) {
+            const days = this.daysInPeriod(period).filter(dayNumber => dayNumber >= this.startDay);
+            empty = days.length ? 0 : empty + 1;
+            
+            for (const dayNumber of days) {
+                // Certainly after dtstart and before `after`: count it, skip the costly makeDate
+                if (dayNumber > this.startDay && dayNumber < skipBefore) {
+                    if (this.count !== null && ++emitted > this.count) return;
+                    continue;
+                }
+                const date = makeDate({ ...fromDayNumber(dayNumber), hour, minute, second }, this.timeZone);
+                if (date < this.dtstart) continue;
+                if (this.until && date > this.until) return;
+                if (this.count !== null && ++emitted > this.count) return;
+                if (date.getTime() > afterTime) yield date;
+            }
+        }
+    }
+}
+
+// Picks the right parser: RRULEs contain "FREQ=", everything else is cron
+function parseSchedule(expression, options = {}) {
+    return /FREQ=/i.test(expression)
+        ? new RRule(expression, options)
+        : new CronSchedule(expression, options);
+}
+
+// const standup = parseSchedule('0 9 * * 1-5', { timeZone: 'America/New_York' });
+// standup.next();                                              // next weekday, 09:00 New York time
+// const patchTuesday = parseSchedule('FREQ=MONTHLY;BYDAY=2TU', {
+//     dtstart: new Date('2024-01-09T18:00:00Z'),
+//     timeZone: 'UTC'
+// });
+// patchTuesday.between(new Date('2024-01-01'), new Date('2024-12-31'));   // 12 dates
+// for (const date of parseSchedule('FREQ=DAILY;COUNT=3')) console.log(date);
+
+// ************ AGE, TENURE AND ANNIVERSARIES ************
+
+/*
+dateDiff counts whole calendar units first (years, then months), then what is
+left as days, hours and minutes on the wall clock of the chosen timezone:
+  2020-01-15 09:00 -> 2024-03-20 17:30  =  4y 2m 5d 8h 30m
+Wall-clock remainders mean a DST switch never shows up as a stray hour.
+
+Feb 29 (and any other day the target month lacks, like Jan 31 -> February):
+  leapDay: 'mar1'  (default) the anniversary is the day after Feb 28, so a
+                   Feb 29 baby turns 1 on Mar 1, 2025 (UK law, same as calculateAge)
+  leapDay: 'feb28' the anniversary is the last day of the month (NZ law)
+*/
+
+// The wall-clock instant (as a UTC timestamp) of `parts` moved to another year/month
+function anniversaryWallTime(parts, year, month, leapDay = 'mar1') {
+    const length = daysInMonth(year, month);
+    const day = parts.day <= length ? parts.day : (leapDay === 'feb28' ? length : length + 1);
+    return Date.UTC(year, month, day, parts.hour, parts.minute, parts.second, parts.millisecond);
+}
+
+const wallTimeOf = p => Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second, p.millisecond);
+
+// Difference from a to b; every field is negative when b is before a
+function dateDiff(a, b, { timeZone, leapDay = 'mar1' } = {}) {
+    const sign = new Date(b) < new Date(a) ? -1 : 1;
+    const from = getDateParts(sign > 0 ? a : b, timeZone);
+    const to = getDateParts(sign > 0 ? b : a, timeZone);
+    const toWallTime = wallTimeOf(to);
+    
+    let totalMonths = (to.year - from.year) * 12 + (to.month - from.month);
+    const anchorAt = months => {
+        const total = from.year * 12 + from.month + months;
+        return anniversaryWallTime(from, Math.floor(total / 12), total % 12, leapDay);
+    };
+    // Can take more than one step: for Jan 31 10:00 -> Mar 1 09:00, Mar 31 is too late,
+    // and so is "Feb 31", which rolls over to Mar 1 10:00 - so 0 whole months
+    while (anchorAt(totalMonths) > toWallTime) totalMonths--;
+    
+    const rest = toWallTime - anchorAt(totalMonths);
+    const result = {
+        years: Math.floor(totalMonths / 12),
+        months: totalMonths % 12,
+        days: Math.floor(rest / MS_PER_DAY),
+        hours: Math.floor((rest % MS_PER_DAY) / (60 * 60 * 1000)),
+        minutes: Math.floor((rest % (60 * 60 * 1000)) / (60 * 1000))
+    };
+    
+    for (const key of Object.keys(result)) {
+        result[key] = sign * result[key] || 0;   // Avoid -0
+    }
+    return result;
+}
+
+// Start of the first anniversary day on or after `from` (today counts)
+function nextAnniversary(date, { from = new Date(), timeZone, leapDay = 'mar1' } = {}) {
+    const original = getDateParts(date, timeZone);
+    const today = getDateParts(from, timeZone);
+    const todayStart = Date.UTC(today.year, today.month, today.day);
+    const midnight = { ...original, hour: 0, minute: 0, second: 0, millisecond: 0 };
+    
+    for (let year = Math.max(today.year, original.year); ; year++) {
+        const wallTime = anniversaryWallTime(midnight, year, original.month, leapDay);
+        if (wallTime >= todayStart) {
+            const { year: y, month, day } = fromDayNumber(wallTime / MS_PER_DAY);
+            return makeDate({ year: y, month, day }, timeZone);
+        }
+    }
+}
+
+// 0 on the birthday itself
+function daysUntilBirthday(birthDate, options = {}) {
+    const from = options.from || new Date();
+    return differenceInCalendarDays(nextAnniversary(birthDate, { ...options, from }), from, options);
+}
+
+// const hired = new Date('2020-01-15T14:00:00Z');
+// dateDiff(hired, new Date('2024-03-20T22:30:00Z'), { timeZone: 'America/New_York' });
+// // { years: 4, months: 2, days: 5, hours: 9, minutes: 30 }  (09:00 EST -> 18:30 EDT)
+// const leapling = new Date(2000, 1, 29);
+// calculateAge(leapling, { today: new Date(2023, 1, 28) });                     // 22
+// calculateAge(leapling, { today: new Date(2023, 1, 28), leapDay: 'feb28' });   // 23
+// nextAnniversary(leapling, { from: new Date(2023, 0, 1) });                    // Mar 1, 2023
+// dateDiff(new Date('2023-01-31T10:00Z'), new Date('2023-03-01T09:00Z'), { timeZone: 'UTC' });
+// // { years: 0, months: 0, days: 28, hours: 23, minutes: 0 }  (no month fits: "Feb 31" rolls to Mar 1 10:00)
+// dateDiff(new Date('2024-01-31T10:00Z'), new Date('2024-02-29T09:00Z'), { timeZone: 'UTC' });
+// // { years: 0, months: 0, days: 28, hours: 23, minutes: 0 }
+// daysUntilBirthday(leapling, { from: new Date(2023, 1, 20) });                 // 9
@@ -119,39 +119,184 @@ function allSettledExample() {
 // ************ 4. PROMISE UTILITIES ************
 
 // 4.1 Promisify Callback Function
-function promisify(fn) {
-    return function(...args) {
+// Keeps the receiver, honours fn[promisify.custom] and can resolve with every
+// callback value via { multiArgs: true }
+function promisify(fn, { multiArgs = false } = {}) {
+    if (typeof fn[promisify.custom] === 'function') {
+        return fn[promisify.custom];
+    }
+    
+    function promisified(...args) {
         return new Promise((resolve, reject) => {
-            fn(...args, (error, result) => {
+            fn.call(this, ...args, (error, ...results) => {
                 if (error) reject(error);
-                else resolve(result);
+                else resolve(multiArgs ? results : results[0]);
             });
         });
+    }
+    
+    promisified[promisify.custom] = promisified;
+    return promisified;
+}
+
+// Same registry symbol as Node's util.promisify.custom, so both honour it
+promisify.custom = Symbol.for('nodejs.util.promisify.custom');
+
+// 4.1.1 Promisify every method of a callback-style object
+// obj.read(path, cb) becomes obj.readAsync(path) -> Promise
+function promisifyAll(obj, { suffix = 'Async', multiArgs = false } = {}) {
+    const seen = new Set();
+    
+    for (let proto = obj; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+        for (const key of Object.getOwnPropertyNames(proto)) {
+            if (key === 'constructor' || key.endsWith(suffix) || seen.has(key)) continue;
+            seen.add(key);
+            
+            const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+            if (typeof descriptor.value !== 'function') continue;
+            if (`${key}${suffix}` in obj) continue;
+            
+            obj[`${key}${suffix}`] = promisify(descriptor.value, { multiArgs });
+        }
+    }
+    
+    return obj;
+}
+
+// 4.1.2 Callbackify - the reverse direction
+// asyncFn(...args) -> Promise becomes fn(...args, (error, result) => {})
+function callbackify(asyncFn) {
+    return function(...args) {
+        const callback = args.pop();
+        if (typeof callback !== 'function') {
+            throw new TypeError('The last argument must be a callback function');
+        }
+        
+        // Callbacks run outside the promise chain so their own errors aren't swallowed
+        Promise.resolve()
+            .then(() => asyncFn.apply(this, args))
+            .then(
+                result => queueMicrotask(() => callback(null, result)),
+                error => {
+                    // A falsy rejection reason would look like success to the callback
+                    const reason = error || Object.assign(
+                        new Error('Promise was rejected with a falsy value'),
+                        { reason: error }
+                    );
+                    queueMicrotask(() => callback(reason));
+                }
+            );
     };
 }
 
 // 4.2 Delay Function
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-// 4.3 Retry Mechanism
-async function retryOperation(operation, retries = 3, delay = 1000) {
-    for (let i = 0; i < retries; i++) {
+// 4.3 Retry Mechanism (exponential backoff, jitter and retry predicates)
+// Accepts an options object, or the old positional form retryOperation(op, 3, 1000).
+// The positional form, and a bare retryOperation(op), keep the old behaviour:
+// fixed delay, and the last error is rethrown as-is. Only an options object
+// (even {}) opts into backoff and an AggregateError holding every attempt's error.
+async function retryOperation(operation, options, legacyDelay) {
+    const legacy = options === undefined || typeof options === 'number';
+    if (legacy) {
+        options = { retries: options, delay: legacyDelay, factor: 1 };
+    }
+    
+    const {
+        retries = 3,              // Total number of attempts
+        delay = 1000,             // Base delay before the first retry
+        factor = 2,               // Backoff multiplier (1 = fixed delay)
+        maxDelay = 30000,         // Upper bound for a single wait
+        jitter = 'none',          // 'none' | 'full' | 'equal'
+        shouldRetry = () => true, // (error, attempt) => boolean
+        onRetry = () => {},       // (error, attempt, waitMs) => void
+        signal
+    } = options;
+    
+    if (!(retries >= 1)) {
+        throw new RangeError(`retries is the total number of attempts and must be at least 1, got ${retries}`);
+    }
+    
+    const errors = [];
+    
+    for (let attempt = 1; attempt <= retries; attempt++) {
+        if (signal && signal.aborted) {
+            throw new AbortError('Retry was aborted');
+        }
+        
         try {
-            return await operation();
+            return await operation(signal, attempt);
         } catch (error) {
-            if (i === retries - 1) throw error;
-            await new Promise(resolve => setTimeout(resolve, delay));
+            errors.push(error);
+            
+            // Permanent failures are surfaced as-is instead of being retried
+            if (!shouldRetry(error, attempt)) throw error;
+            if (attempt === retries) break;
+            
+            const waitMs = backoffDelay(attempt, { delay, factor, maxDelay, jitter });
+            onRetry(error, attempt, waitMs);
+            await sleep(waitMs, signal);
         }
     }
+    
+    if (legacy) throw errors[errors.length - 1];
+    throw new AggregateError(errors, `Operation failed after ${retries} attempts`);
 }
 
+function backoffDelay(attempt, { delay, factor, maxDelay, jitter }) {
+    const base = Math.min(maxDelay, delay * factor ** (attempt - 1));
+    
+    switch (jitter) {
+        case 'full':
+            return Math.random() * base;
+        case 'equal':
+            return base / 2 + Math.random() * (base / 2);
+        default:
+            return base;
+    }
+}
+
+// Like delay(), but rejects with AbortError as soon as the signal fires
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new AbortError('Retry was aborted'));
+            return;
+        }
+        
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new AbortError('Retry was aborted'));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Usage:
+// await retryOperation(() => fetch('/api/flaky'), {
+//     retries: 5,
+//     delay: 200,
+//     maxDelay: 5000,
+//     jitter: 'full',
+//     shouldRetry: error => !(error instanceof TypeError),
+//     onRetry: (error, attempt, waitMs) => console.warn(`Attempt ${attempt} failed, retrying in ${waitMs}ms`)
+// });
+
 // ************ 5. ERROR HANDLING PATTERNS ************
 
-// 5.1 Global Error Handler
-window.addEventListener('unhandledrejection', event => {
-    console.error('Unhandled promise rejection:', event.reason);
-    event.preventDefault();
-});
+// 5.1 Global Error Handler (browser only, so the file can still be required in Node)
+if (typeof window !== 'undefined') {
+    window.addEventListener('unhandledrejection', event => {
+        console.error('Unhandled promise rejection:', event.reason);
+        event.preventDefault();
+    });
+}
 
 // 5.2 Custom Error Types
 class NetworkError extends Error {
@@ -161,6 +306,28 @@ class NetworkError extends Error {
     }
 }
 
+class TimeoutError extends Error {
+    constructor(message, timeout) {
+        super(message);
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+class CircuitOpenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CircuitOpenError';
+    }
+}
+
+class AbortError extends Error {
+    constructor(message = 'The operation was aborted') {
+        super(message);
+        this.name = 'AbortError';
+    }
+}
+
 // 5.3 Error Recovery
 async function errorRecovery() {
     try {
@@ -174,65 +341,560 @@ async function errorRecovery() {
     }
 }
 
+// 5.4 Circuit Breaker
+// Carries failure state across calls so repeated NetworkErrors go straight to
+// the fallback instead of every caller waiting on a dead service.
+//   closed    -> calls pass through, counted failures trip the breaker
+//   open      -> calls short-circuit until resetTimeout has elapsed
+//   half-open -> a single trial call decides between closed and open
+class CircuitBreaker {
+    static STATE = { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half-open' };
+    
+    constructor(operation, {
+        failureThreshold = 5,
+        resetTimeout = 10000,
+        fallback,
+        isFailure = error => error instanceof NetworkError
+    } = {}) {
+        this.operation = operation;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeout = resetTimeout;
+        this.fallback = fallback;
+        this.isFailure = isFailure;
+        
+        this.state = CircuitBreaker.STATE.CLOSED;
+        this.failures = 0;
+        this.openedAt = 0;
+        this.trialInFlight = false;
+        this.events = {};
+    }
+    
+    on(event, callback) {
+        if (!this.events[event]) {
+            this.events[event] = [];
+        }
+        this.events[event].push(callback);
+        return this;
+    }
+    
+    emit(event, data) {
+        const callbacks = this.events[event] || [];
+        callbacks.forEach(callback => callback(data));
+    }
+    
+    async fire(...args) {
+        const { OPEN, HALF_OPEN } = CircuitBreaker.STATE;
+        
+        if (this.state === OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+            this.transition(HALF_OPEN);
+        }
+        
+        if (this.state === OPEN || (this.state === HALF_OPEN && this.trialInFlight)) {
+            return this.shortCircuit(args, new CircuitOpenError('Circuit is open'));
+        }
+        
+        const isTrial = this.state === HALF_OPEN;
+        if (isTrial) this.trialInFlight = true;
+        
+        try {
+            const result = await this.operation(...args);
+            this.onSuccess();
+            return result;
+        } catch (error) {
+            // Errors that don't indicate an unhealthy service are passed through
+            if (!this.isFailure(error)) throw error;
+            this.onFailure();
+            return this.shortCircuit(args, error);
+        } finally {
+            if (isTrial) this.trialInFlight = false;
+        }
+    }
+    
+    onSuccess() {
+        this.failures = 0;
+        if (this.state !== CircuitBreaker.STATE.CLOSED) {
+            this.transition(CircuitBreaker.STATE.CLOSED);
+        }
+    }
+    
+    onFailure() {
+        this.failures++;
+        if (this.state === CircuitBreaker.STATE.HALF_OPEN ||
+            this.failures >= this.failureThreshold) {
+            this.openedAt = Date.now();
+            this.transition(CircuitBreaker.STATE.OPEN);
+        }
+    }
+    
+    shortCircuit(args, error) {
+        if (this.fallback) {
+            return this.fallback(...args);
+        }
+        throw error;
+    }
+    
+    transition(to) {
+        const from = this.state;
+        if (from === to) return;
+        this.state = to;
+        this.emit('stateChange', { from, to });
+        this.emit(to, { from });
+    }
+}
+
+// Usage:
+// const breaker = new CircuitBreaker(riskyOperation, {
+//     failureThreshold: 3,
+//     resetTimeout: 5000,
+//     fallback: fallbackOperation
+// });
+// breaker.on('stateChange', ({ from, to }) => console.log(`Circuit ${from} -> ${to}`));
+// const result = await breaker.fire();
+
 // ************ 6. ADVANCED IMPLEMENTATIONS ************
 
-// 6.1 Promise Queue
+// 6.1 Promise Queue (with cancellation, pause/resume and idle tracking)
 class PromiseQueue {
     constructor() {
         this.queue = [];
         this.processing = false;
+        this.paused = false;
+        this.idleResolvers = [];
     }
     
-    enqueue(promiseFunc) {
+    get size() {
+        return this.queue.length;
+    }
+    
+    enqueue(promiseFunc, { signal } = {}) {
         return new Promise((resolve, reject) => {
-            this.queue.push({ promiseFunc, resolve, reject });
+            if (signal && signal.aborted) {
+                reject(new AbortError('Job was aborted before it was queued'));
+                return;
+            }
+            
+            const job = { promiseFunc, resolve, reject, signal };
+            
+            // Aborting a pending job removes it; a running job only sees the signal
+            if (signal) {
+                job.onAbort = () => {
+                    const index = this.queue.indexOf(job);
+                    if (index === -1) return;
+                    this.queue.splice(index, 1);
+                    reject(new AbortError('Job was aborted while pending'));
+                    this.checkIdle();
+                };
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+            
+            this.queue.push(job);
             this.processQueue();
         });
     }
     
     async processQueue() {
-        if (this.processing) return;
+        if (this.processing || this.paused) return;
         this.processing = true;
         
-        while (this.queue.length > 0) {
-            const { promiseFunc, resolve, reject } = this.queue.shift();
+        while (this.queue.length > 0 && !this.paused) {
+            const job = this.queue.shift();
+            this.detach(job);
             try {
-                const result = await promiseFunc();
-                resolve(result);
+                const result = await job.promiseFunc(job.signal);
+                job.resolve(result);
             } catch (error) {
-                reject(error);
+                job.reject(error);
             }
         }
         
         this.processing = false;
+        this.checkIdle();
+    }
+    
+    // Rejects every pending job; the running one (if any) is left to finish
+    clear() {
+        const jobs = this.queue.splice(0);
+        jobs.forEach(job => {
+            this.detach(job);
+            job.reject(new AbortError('Queue was cleared'));
+        });
+        this.checkIdle();
+    }
+    
+    // Stops picking up new jobs once the current one settles
+    pause() {
+        this.paused = true;
+    }
+    
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.processQueue();
+    }
+    
+    // Resolves once nothing is queued or running
+    onIdle() {
+        if (this.queue.length === 0 && !this.processing) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.idleResolvers.push(resolve));
+    }
+    
+    checkIdle() {
+        if (this.queue.length === 0 && !this.processing) {
+            this.idleResolvers.splice(0).forEach(resolve => resolve());
+        }
+    }
+    
+    detach(job) {
+        if (job.signal) {
+            job.signal.removeEventListener('abort', job.onAbort);
+        }
     }
 }
 
-// 6.2 Promise Pool
+// Usage:
+// const queue = new PromiseQueue();
+// const controller = new AbortController();
+// queue.enqueue(signal => fetch('/api/report', { signal }), { signal: controller.signal });
+// controller.abort();          // Pending job rejects with AbortError
+// await queue.onIdle();
+
+// 6.2 Promise Pool (priority lanes, per-task timeouts and live stats)
 class PromisePool {
+    static PRIORITY = { LOW: 0, NORMAL: 1, HIGH: 2 };
+    
     constructor(maxConcurrent) {
         this.maxConcurrent = maxConcurrent;
         this.running = 0;
-        this.queue = [];
+        this.queue = [];        // Waiting resolvers, highest priority first
+        this.completed = 0;
+        this.failed = 0;
+        this.drainResolvers = [];
     }
     
-    async add(promiseFunc) {
+    get pending() {
+        return this.queue.length;
+    }
+    
+    get stats() {
+        return {
+            pending: this.pending,
+            running: this.running,
+            completed: this.completed,
+            failed: this.failed
+        };
+    }
+    
+    async add(promiseFunc, { priority = PromisePool.PRIORITY.NORMAL, timeout } = {}) {
         if (this.running >= this.maxConcurrent) {
-            await new Promise(resolve => this.queue.push(resolve));
+            // The slot is handed over by release(), so running is not bumped here
+            await new Promise(resolve => this.enqueueWaiter(resolve, priority));
+        } else {
+            this.running++;
         }
         
-        this.running++;
         try {
-            return await promiseFunc();
+            const result = timeout
+                ? await runWithTimeout(promiseFunc, timeout)
+                : await promiseFunc();
+            this.completed++;
+            return result;
+        } catch (error) {
+            this.failed++;
+            throw error;
         } finally {
-            this.running--;
-            if (this.queue.length > 0) {
-                this.queue.shift()();
+            this.release();
+        }
+    }
+    
+    // Resolves once every queued and running task has settled
+    drain() {
+        if (this.pending === 0 && this.running === 0) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.drainResolvers.push(resolve));
+    }
+    
+    enqueueWaiter(resolve, priority) {
+        // Insert after all waiters of equal or higher priority (FIFO within a lane)
+        const index = this.queue.findIndex(waiter => waiter.priority < priority);
+        const waiter = { resolve, priority };
+        if (index === -1) this.queue.push(waiter);
+        else this.queue.splice(index, 0, waiter);
+    }
+    
+    release() {
+        if (this.queue.length > 0) {
+            this.queue.shift().resolve();
+            return;
+        }
+        this.running--;
+        if (this.running === 0) {
+            this.drainResolvers.splice(0).forEach(resolve => resolve());
+        }
+    }
+}
+
+// Races a task against a timer; the task gets a signal that aborts on timeout
+function runWithTimeout(promiseFunc, timeout) {
+    const controller = new AbortController();
+    let timer;
+    
+    const timeoutPromise = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new TimeoutError(`Task timed out after ${timeout}ms`, timeout));
+        }, timeout);
+    });
+    
+    // Calling the task inside the chain turns a synchronous throw into a rejection,
+    // so the timer is still cleared and timeoutPromise never rejects unobserved
+    const task = Promise.resolve().then(() => promiseFunc(controller.signal));
+    return Promise.race([task, timeoutPromise])
+        .finally(() => clearTimeout(timer));
+}
+
+// Usage:
+// const pool = new PromisePool(5);
+// pool.add(() => fetch('/api/slow'), { timeout: 2000 });
+// pool.add(() => fetch('/api/urgent'), { priority: PromisePool.PRIORITY.HIGH });
+// console.log(pool.stats);     // { pending, running, completed, failed }
+// await pool.drain();
+
+// 6.3 Promise From Scratch (Promises/A+ compliant)
+// The classic "implement a Promise" interview question
+class MyPromise {
+    #state = 'pending';
+    #value = undefined;
+    #handlers = [];
+    
+    constructor(executor) {
+        if (typeof executor !== 'function') {
+            throw new TypeError('MyPromise resolver must be a function');
+        }
+        
+        const [resolve, reject] = this.#createResolvers();
+        try {
+            executor(resolve, reject);
+        } catch (error) {
+            reject(error);
+        }
+    }
+    
+    // resolve/reject pair where only the first call wins
+    #createResolvers() {
+        let called = false;
+        const resolve = value => {
+            if (called) return;
+            called = true;
+            this.#resolve(value);
+        };
+        const reject = reason => {
+            if (called) return;
+            called = true;
+            this.#settle('rejected', reason);
+        };
+        return [resolve, reject];
+    }
+    
+    // The Promise Resolution Procedure (spec section 2.3)
+    #resolve(value) {
+        if (value === this) {
+            this.#settle('rejected', new TypeError('A promise cannot be resolved with itself'));
+            return;
+        }
+        
+        if (value !== null && (typeof value === 'object' || typeof value === 'function')) {
+            let then;
+            try {
+                then = value.then;  // Read once: the getter may have side effects
+            } catch (error) {
+                this.#settle('rejected', error);
+                return;
+            }
+            
+            // Thenable assimilation: adopt the state of any object with a then method
+            if (typeof then === 'function') {
+                let called = false;
+                try {
+                    then.call(
+                        value,
+                        result => {
+                            if (called) return;
+                            called = true;
+                            this.#resolve(result);
+                        },
+                        reason => {
+                            if (called) return;
+                            called = true;
+                            this.#settle('rejected', reason);
+                        }
+                    );
+                } catch (error) {
+                    if (!called) {
+                        called = true;
+                        this.#settle('rejected', error);
+                    }
+                }
+                return;
             }
         }
+        
+        this.#settle('fulfilled', value);
+    }
+    
+    #settle(state, value) {
+        if (this.#state !== 'pending') return;
+        this.#state = state;
+        this.#value = value;
+        this.#handlers.splice(0).forEach(handler => this.#schedule(handler));
+    }
+    
+    // Handlers always run asynchronously, on the microtask queue
+    #schedule({ onFulfilled, onRejected, resolve, reject }) {
+        queueMicrotask(() => {
+            const callback = this.#state === 'fulfilled' ? onFulfilled : onRejected;
+            
+            if (typeof callback !== 'function') {
+                // Pass the value/reason through to the next promise in the chain
+                if (this.#state === 'fulfilled') resolve(this.#value);
+                else reject(this.#value);
+                return;
+            }
+            
+            try {
+                resolve(callback(this.#value));
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+    
+    then(onFulfilled, onRejected) {
+        return new MyPromise((resolve, reject) => {
+            const handler = { onFulfilled, onRejected, resolve, reject };
+            if (this.#state === 'pending') {
+                this.#handlers.push(handler);
+            } else {
+                this.#schedule(handler);
+            }
+        });
+    }
+    
+    catch(onRejected) {
+        return this.then(undefined, onRejected);
+    }
+    
+    // Runs the callback without changing the settled value (unless it throws)
+    finally(onFinally) {
+        if (typeof onFinally !== 'function') {
+            return this.then(onFinally, onFinally);
+        }
+        return this.then(
+            value => MyPromise.resolve(onFinally()).then(() => value),
+            reason => MyPromise.resolve(onFinally()).then(() => { throw reason; })
+        );
+    }
+    
+    get [Symbol.toStringTag]() {
+        return 'MyPromise';
+    }
+    
+    // ---------- Static methods ----------
+    
+    static resolve(value) {
+        if (value instanceof MyPromise) return value;
+        return new MyPromise(resolve => resolve(value));
+    }
+    
+    static reject(reason) {
+        return new MyPromise((resolve, reject) => reject(reason));
+    }
+    
+    static withResolvers() {
+        let resolve, reject;
+        const promise = new MyPromise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+        return { promise, resolve, reject };
+    }
+    
+    // Fulfills with every value in order, rejects on the first rejection
+    static all(iterable) {
+        return new MyPromise((resolve, reject) => {
+            const results = [];
+            let remaining = 0;
+            let index = 0;
+            
+            for (const item of iterable) {
+                const i = index++;
+                remaining++;
+                MyPromise.resolve(item).then(value => {
+                    results[i] = value;
+                    if (--remaining === 0) resolve(results);
+                }, reject);
+            }
+            
+            if (remaining === 0) resolve(results);
+        });
+    }
+    
+    // Never rejects: reports { status, value | reason } for every input
+    static allSettled(iterable) {
+        return MyPromise.all(Array.from(iterable, item =>
+            MyPromise.resolve(item).then(
+                value => ({ status: 'fulfilled', value }),
+                reason => ({ status: 'rejected', reason })
+            )
+        ));
+    }
+    
+    // First fulfillment wins; rejects with AggregateError only if all reject
+    static any(iterable) {
+        return new MyPromise((resolve, reject) => {
+            const errors = [];
+            let remaining = 0;
+            let index = 0;
+            
+            for (const item of iterable) {
+                const i = index++;
+                remaining++;
+                MyPromise.resolve(item).then(resolve, reason => {
+                    errors[i] = reason;
+                    if (--remaining === 0) {
+                        reject(new AggregateError(errors, 'All promises were rejected'));
+                    }
+                });
+            }
+            
+            if (remaining === 0) {
+                reject(new AggregateError(errors, 'All promises were rejected'));
+            }
+        });
+    }
+    
+    // First to settle wins, whether it fulfills or rejects
+    static race(iterable) {
+        return new MyPromise((resolve, reject) => {
+            for (const item of iterable) {
+                MyPromise.resolve(item).then(resolve, reject);
+            }
+        });
     }
 }
 
+// Adapter for the official test suite:
+//   npx promises-aplus-tests adapter.js
+//   // adapter.js
+//   const { MyPromise } = require('./22_Promises.js');
+//   module.exports = {
+//       resolved: MyPromise.resolve,
+//       rejected: MyPromise.reject,
+//       deferred: MyPromise.withResolvers
+//   };
+
 // ************ 7. BEST PRACTICES ************
 
 /*
@@ -292,9 +954,17 @@ A: - Promises use microtask queue
 // Export for testing
 if (typeof module !== 'undefined') {
     module.exports = {
+        MyPromise,
         PromiseQueue,
         PromisePool,
+        AbortError,
+        TimeoutError,
+        CircuitBreaker,
+        CircuitOpenError,
+        NetworkError,
         retryOperation,
-        promisify
+        promisify,
+        promisifyAll,
+        callbackify
     };
 }
\ No newline at end of file